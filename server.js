@@ -3,7 +3,10 @@
 // 1. Import Dependencies
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const cors = require('cors')
+const PDFDocument = require('pdfkit');
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
 
@@ -29,6 +32,12 @@ if (missingEnvVars.length > 0) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// Needed behind a reverse proxy so req.ip is the client's address, e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
+
 // 3. Define Middleware
 // Allow larger JSON payloads (e.g., base64 image uploads from admin inventory).
 app.use(express.json({ limit: '10mb' }));
@@ -59,6 +68,696 @@ app.use(cors({
   }
 }));
 
+// --- Staff Authentication & Role-Based Access ---
+
+// Which staff roles may use each permission. Roles are compared in lower case,
+// so 'Admin' and 'admin' in the staff table are treated the same.
+const ROLE_PERMISSIONS = {
+    'dashboard:read':      ['admin', 'therapist', 'receptionist'],
+    'staff:read':          ['admin', 'therapist', 'receptionist'],
+    'staff:write':         ['admin'],
+    'schedule:write':      ['admin', 'receptionist'],
+    'patients:read':       ['admin', 'therapist', 'receptionist'],
+    'patients:write':      ['admin', 'therapist', 'receptionist'],
+    'patients:delete':     ['admin'],
+    'appointments:read':   ['admin', 'therapist', 'receptionist'],
+    'appointments:write':  ['admin', 'therapist', 'receptionist'],
+    'appointments:override': ['admin'],
+    'invoices:read':       ['admin', 'therapist', 'receptionist'],
+    'invoices:write':      ['admin', 'receptionist'],
+    'invoices:delete':     ['admin'],
+    'invoices:void':       ['admin'],
+    'invoices:credit':     ['admin'],
+    'invoices:override_price': ['admin'],
+    'payments:refund':     ['admin'],
+    'payers:write':        ['admin'],
+    'claims:read':         ['admin', 'receptionist'],
+    'claims:write':        ['admin', 'receptionist'],
+    'products:read':       ['admin', 'therapist', 'receptionist'],
+    'products:write':      ['admin', 'receptionist'],
+    'services:read':       ['admin', 'therapist', 'receptionist'],
+    'services:write':      ['admin'],
+    'packages:read':       ['admin', 'therapist', 'receptionist'],
+    'packages:write':      ['admin'],
+    'settings:read':       ['admin', 'therapist', 'receptionist'],
+    'settings:write':      ['admin'],
+    'exercises:read':      ['admin', 'therapist'],
+    'exercises:write':     ['admin', 'therapist'],
+    'notes:read':          ['admin', 'therapist'],
+    'notes:write':         ['admin', 'therapist'],
+    'audit:read':          ['admin'],
+    'security:manage':     ['admin']
+};
+
+const STAFF_ROLES = ['admin', 'therapist', 'receptionist'];
+
+// Older staff rows use job titles rather than role keys.
+const ROLE_ALIASES = {
+    administrator: 'admin',
+    physiotherapist: 'therapist',
+    physio: 'therapist',
+    reception: 'receptionist',
+    'front desk': 'receptionist'
+};
+
+const normalizeRole = (role) => {
+    const key = String(role || '').trim().toLowerCase();
+    return ROLE_ALIASES[key] || key;
+};
+
+const hasPermission = (role, permission) => {
+    const allowedRoles = ROLE_PERMISSIONS[permission] || [];
+    return allowedRoles.includes(normalizeRole(role));
+};
+
+// Staff rows are linked by auth_user_id. Rows created before that link existed are
+// matched by email once and then linked, so the lookup stays stable if the email changes.
+const findStaffForAuthUser = async (user) => {
+    const { data: linked, error } = await supabase.from('staff').select('*').eq('auth_user_id', user.id).maybeSingle();
+    if (error) throw error;
+    if (linked) return linked;
+
+    const { data: legacy } = await supabase.from('staff').select('*').eq('email', user.email).is('auth_user_id', null).maybeSingle();
+    if (!legacy) return null;
+    await supabase.from('staff').update({ auth_user_id: user.id }).eq('id', legacy.id);
+    return { ...legacy, auth_user_id: user.id };
+};
+
+// Middleware to protect admin routes. Verifies the token returned by /api/admin/login
+// and attaches both the auth user (req.user) and the staff profile (req.staff).
+const authenticateStaff = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ success: false, message: 'Authentication token required.' });
+    }
+    const token = authHeader.split(' ')[1];
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+        return res.status(401).json({ success: false, message: 'Invalid or expired token.' });
+    }
+
+    const staffProfile = await findStaffForAuthUser(user).catch(() => null);
+
+    if (!staffProfile) {
+        return res.status(403).json({ success: false, message: 'You are not registered as a staff member.' });
+    }
+    if (staffProfile.is_active === false) {
+        return res.status(403).json({ success: false, message: 'This staff account has been deactivated.' });
+    }
+
+    req.user = user;
+    req.staff = { ...staffProfile, role: normalizeRole(staffProfile.role) };
+    next();
+};
+
+// Use after authenticateStaff: app.get('/api/x', authenticateStaff, requirePermission('x:read'), ...)
+const requirePermission = (permission) => (req, res, next) => {
+    if (!req.staff || !hasPermission(req.staff.role, permission)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to perform this action.' });
+    }
+    next();
+};
+
+// --- Audit Trail ---
+// Every mutation on clinical, billing and configuration data is written to the
+// 'audit_log' table: id, actor_staff_id, actor_email, action, entity_type, entity_id,
+// patient_id, changes (jsonb, { field: { from, to } }), created_at
+
+// Returns only the fields whose values differ between the two versions of a row.
+const diffRecords = (before, after) => {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        const from = before ? before[key] : undefined;
+        const to = after ? after[key] : undefined;
+        if (to === undefined && before && after) continue; // field not part of this update
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+        }
+    }
+    return changes;
+};
+
+// Records one mutation. Failures are logged but never fail the request that made the change.
+const recordAudit = async (req, { action, entityType, entityId, patientId = null, before = null, after = null }) => {
+    const entry = {
+        actor_staff_id: req.staff ? req.staff.id : null,
+        actor_email: req.user ? req.user.email : null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId != null ? String(entityId) : null,
+        patient_id: patientId || (after && after.patient_id) || (before && before.patient_id) || null,
+        changes: diffRecords(before, after)
+    };
+    if (action === 'update' && Object.keys(entry.changes).length === 0) return;
+
+    const { error } = await supabase.from('audit_log').insert(entry);
+    if (error) {
+        console.error(`AUDIT WRITE FAILED for ${action} ${entityType} ${entityId}:`, error.message);
+    }
+};
+
+// Loads the current version of a row so it can be diffed after the mutation.
+const fetchForAudit = async (table, id) => {
+    const { data } = await supabase.from(table).select('*').eq('id', id).maybeSingle();
+    return data || null;
+};
+
+// --- Request Validation ---
+// Declarative schemas for write endpoints. Unknown fields are rejected, values are
+// coerced to the column type, and errors come back as { errors: { field: message } }.
+
+const FIELD_TYPES = {
+    string: (value, rule) => {
+        if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be text' };
+        const text = String(value).trim();
+        if (rule.maxLength && text.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+        return { value: text };
+    },
+    integer: (value, rule) => {
+        const n = Number(value);
+        if (value === '' || !Number.isInteger(n)) return { error: 'must be a whole number' };
+        if (rule.min != null && n < rule.min) return { error: `must be at least ${rule.min}` };
+        if (rule.max != null && n > rule.max) return { error: `must be at most ${rule.max}` };
+        return { value: n };
+    },
+    price: (value, rule) => {
+        const n = Number(value);
+        if (value === '' || !Number.isFinite(n)) return { error: 'must be a number' };
+        if (n < 0) return { error: 'cannot be negative' };
+        if (rule.max != null && n > rule.max) return { error: `must be at most ${rule.max}` };
+        return { value: Math.round(n * 100) / 100 };
+    },
+    boolean: (value) => {
+        if (typeof value === 'boolean') return { value };
+        if (value === 'true' || value === 1 || value === '1') return { value: true };
+        if (value === 'false' || value === 0 || value === '0') return { value: false };
+        return { error: 'must be true or false' };
+    },
+    date: (value, rule) => {
+        const text = String(value).trim();
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+        const parsed = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+        if (!parsed || parsed.getUTCMonth() !== +match[2] - 1) return { error: 'must be a valid date (YYYY-MM-DD)' };
+        if (rule.past && parsed > new Date()) return { error: 'cannot be in the future' };
+        return { value: text };
+    },
+    phone: (value) => {
+        const text = String(value).trim();
+        const digits = text.replace(/\D/g, '');
+        if (!/^\+?[\d\s\-().]+$/.test(text) || digits.length < 6 || digits.length > 15) {
+            return { error: 'must be a valid phone number' };
+        }
+        return { value: text };
+    },
+    email: (value) => {
+        const text = String(value).trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) return { error: 'must be a valid email address' };
+        return { value: text };
+    },
+    // Reminder lead times in hours, e.g. [24, 2]
+    hourOffsets: (value) => {
+        if (!Array.isArray(value) || value.length === 0) return { error: 'must be a non-empty list of hours' };
+        const hours = value.map(Number);
+        if (hours.some(h => !Number.isFinite(h) || h <= 0 || h > 336)) return { error: 'each entry must be between 0 and 336 hours' };
+        return { value: [...new Set(hours)].sort((a, b) => b - a) };
+    },
+    timezone: (value) => {
+        const text = String(value).trim();
+        if (!isValidTimezone(text)) return { error: "must be an IANA timezone such as 'Asia/Phnom_Penh'" };
+        return { value: text };
+    },
+    // Clinic closures: [{ start_date, end_date, reason }]
+    closures: (value) => {
+        if (!Array.isArray(value)) return { error: 'must be a list of closures' };
+        const closures = [];
+        for (const item of value) {
+            const start = FIELD_TYPES.date((item && item.start_date) || '', {});
+            const end = FIELD_TYPES.date((item && (item.end_date || item.start_date)) || '', {});
+            if (start.error || end.error || end.value < start.value) return { error: 'each closure needs a start_date and an end_date on or after it' };
+            closures.push({ start_date: start.value, end_date: end.value, reason: item.reason ? String(item.reason).trim() : null });
+        }
+        return { value: closures };
+    },
+    enum: (value, rule) => {
+        const match = rule.values.find(v => v.toLowerCase() === String(value).trim().toLowerCase());
+        if (!match) return { error: `must be one of: ${rule.values.join(', ')}` };
+        return { value: match };
+    }
+};
+
+const SCHEMAS = {
+    patient: {
+        full_name: { type: 'string', required: true, maxLength: 200 },
+        date_of_birth: { type: 'date', past: true },
+        gender: { type: 'enum', values: ['Male', 'Female', 'Other'] },
+        phone_number: { type: 'phone' },
+        email: { type: 'email' },
+        address: { type: 'string', maxLength: 500 },
+        occupation: { type: 'string', maxLength: 200 },
+        emergency_contact_name: { type: 'string', maxLength: 200 },
+        emergency_contact_phone: { type: 'phone' },
+        medical_history: { type: 'string', maxLength: 10000 },
+        assigned_therapist_id: { type: 'integer', min: 1 },
+        avatar_url: { type: 'string' },
+        telegram_chat_id: { type: 'string', maxLength: 50 },
+        reminders_opt_out: { type: 'boolean' },
+        preferred_language: { type: 'enum', values: ['en', 'km'] },
+        preferred_channel: { type: 'enum', values: ['sms', 'telegram', 'email'] }
+    },
+    reminderPreferences: {
+        reminders_opt_out: { type: 'boolean' },
+        preferred_language: { type: 'enum', values: ['en', 'km'] },
+        preferred_channel: { type: 'enum', values: ['sms', 'telegram', 'email'] }
+    },
+    product: {
+        name: { type: 'string', required: true, maxLength: 200 },
+        sku: { type: 'string', maxLength: 100 },
+        category: { type: 'string', maxLength: 100 },
+        unit_price: { type: 'price', required: true },
+        stock_level: { type: 'integer', min: 0 },
+        image_url: { type: 'string' }
+    },
+    service: {
+        code: { type: 'string', required: true, maxLength: 30 },
+        name: { type: 'string', required: true, maxLength: 200 },
+        default_price: { type: 'price', required: true },
+        duration_minutes: { type: 'integer', min: 5, max: 480 },
+        category: { type: 'string', maxLength: 100 },
+        is_active: { type: 'boolean' }
+    },
+    package: {
+        name: { type: 'string', required: true, maxLength: 200 },
+        description: { type: 'string', maxLength: 2000 },
+        sessions: { type: 'integer', required: true, min: 1, max: 200 },
+        price: { type: 'price', required: true },
+        validity_days: { type: 'integer', required: true, min: 1, max: 3650 },
+        is_active: { type: 'boolean' }
+    },
+    exercise: {
+        title: { type: 'string', required: true, maxLength: 200 },
+        description: { type: 'string', maxLength: 10000 },
+        category: { type: 'string', maxLength: 100 },
+        video_path: { type: 'string', maxLength: 1000 }
+    },
+    exerciseAssignment: {
+        exercise_id: { type: 'integer', required: true, min: 1 },
+        notes: { type: 'string', maxLength: 2000 },
+        frequency_per_week: { type: 'integer', min: 1, max: 21 }
+    },
+    clinicalNote: {
+        note_date: { type: 'date' },
+        appointment_id: { type: 'integer', min: 1 },
+        subjective: { type: 'string', maxLength: 10000 },
+        objective: { type: 'string', maxLength: 10000 },
+        assessment: { type: 'string', maxLength: 10000 },
+        plan: { type: 'string', maxLength: 10000 }
+    },
+    staff: {
+        full_name: { type: 'string', required: true, maxLength: 200 },
+        email: { type: 'email' },
+        phone_number: { type: 'phone' },
+        role: { type: 'enum', values: STAFF_ROLES },
+        avatar_url: { type: 'string' }
+    },
+    payment: {
+        amount: { type: 'price' },
+        currency: { type: 'enum', values: ['USD', 'KHR'] },
+        tendered: { type: 'price' },
+        method: { type: 'enum', required: true, values: ['cash', 'aba_khqr', 'card', 'bank_transfer'] },
+        reference: { type: 'string', maxLength: 100 },
+        note: { type: 'string', maxLength: 500 }
+    },
+    payer: {
+        name: { type: 'string', required: true, maxLength: 200 },
+        payer_type: { type: 'enum', required: true, values: ['insurer', 'employer'] },
+        contact_name: { type: 'string', maxLength: 200 },
+        email: { type: 'email' },
+        phone: { type: 'phone' },
+        address: { type: 'string', maxLength: 500 },
+        is_active: { type: 'boolean' }
+    },
+    coverage: {
+        payer_id: { type: 'integer', required: true, min: 1 },
+        policy_number: { type: 'string', required: true, maxLength: 100 },
+        coverage_percent: { type: 'price', required: true, max: 100 },
+        session_cap: { type: 'integer', min: 1 },
+        valid_from: { type: 'date' },
+        valid_to: { type: 'date' },
+        is_active: { type: 'boolean' }
+    },
+    payerPayment: {
+        method: { type: 'enum', required: true, values: ['cash', 'aba_khqr', 'card', 'bank_transfer'] },
+        reference: { type: 'string', maxLength: 100 },
+        note: { type: 'string', maxLength: 500 }
+    },
+    exchangeRate: {
+        khr_per_usd: { type: 'price', required: true },
+        effective_date: { type: 'date' }
+    },
+    settings: {
+        clinic_name: { type: 'string', maxLength: 200 },
+        phone_number: { type: 'phone' },
+        email: { type: 'email' },
+        address: { type: 'string', maxLength: 500 },
+        base_currency: { type: 'enum', values: ['USD', 'KHR'] },
+        logo_url: { type: 'string', maxLength: 1000 },
+        invoice_footer: { type: 'string', maxLength: 1000 },
+        closures: { type: 'closures' },
+        timezone: { type: 'timezone' },
+        cancellation_window_hours: { type: 'integer', min: 0, max: 168 },
+        portal_appointment_minutes: { type: 'integer', min: 15, max: 240 },
+        reminder_offsets_hours: { type: 'hourOffsets' },
+        no_show_fee: { type: 'price' }
+    }
+};
+
+// Returns { value, errors }. With partial = true (PATCH), required fields may be omitted.
+const validateAgainstSchema = (schema, body, { partial = false } = {}) => {
+    const errors = {};
+    const value = {};
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+
+    for (const key of Object.keys(input)) {
+        if (!schema[key]) errors[key] = 'is not an allowed field';
+    }
+
+    for (const [key, rule] of Object.entries(schema)) {
+        const raw = input[key];
+        const isEmpty = raw === undefined || raw === null || raw === '';
+        if (isEmpty) {
+            if (rule.required && (!partial || raw !== undefined)) errors[key] = 'is required';
+            else if (raw !== undefined) value[key] = null;
+            continue;
+        }
+        const result = FIELD_TYPES[rule.type](raw, rule);
+        if (result.error) errors[key] = result.error;
+        else value[key] = result.value;
+    }
+
+    return { value, errors };
+};
+
+// Middleware: replaces req.body with the validated, coerced copy or answers 400.
+const validateBody = (schemaName, options = {}) => (req, res, next) => {
+    const { value, errors } = validateAgainstSchema(SCHEMAS[schemaName], req.body, options);
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+    }
+    if (options.partial && Object.keys(value).length === 0) {
+        return res.status(400).json({ success: false, message: 'No fields to update.' });
+    }
+    req.body = value;
+    next();
+};
+
+// --- Clinic Timezone ---
+// All local dates and times (appointment input, "today" in stats, exercise completion
+// dates, dates shown in lists) use settings.timezone, an IANA name such as 'Asia/Phnom_Penh'.
+
+const DEFAULT_CLINIC_TIMEZONE = process.env.CLINIC_TIMEZONE || 'Asia/Phnom_Penh';
+const SETTINGS_CACHE_MS = 60 * 1000;
+let cachedClinicTimezone = null;
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const getClinicTimezone = async () => {
+    if (cachedClinicTimezone && cachedClinicTimezone.expiresAt > Date.now()) return cachedClinicTimezone.value;
+    const { data } = await supabase.from('settings').select('timezone').eq('id', 1).maybeSingle();
+    const value = data && data.timezone && isValidTimezone(data.timezone) ? data.timezone : DEFAULT_CLINIC_TIMEZONE;
+    cachedClinicTimezone = { value, expiresAt: Date.now() + SETTINGS_CACHE_MS };
+    return value;
+};
+
+const clearClinicTimezoneCache = () => {
+    cachedClinicTimezone = null;
+};
+
+const zonedFormatters = new Map();
+const zonedParts = (instant, timezone) => {
+    if (!zonedFormatters.has(timezone)) {
+        zonedFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    const parts = {};
+    for (const part of zonedFormatters.get(timezone).formatToParts(new Date(instant))) parts[part.type] = Number(part.value);
+    return parts;
+};
+
+// Local clinic date (YYYY-MM-DD), weekday (0 = Sunday) and minutes past midnight for an instant.
+const toClinicLocal = (instant, timezone) => {
+    const p = zonedParts(instant, timezone);
+    const date = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    return { date, weekday: new Date(`${date}T00:00:00Z`).getUTCDay(), minutes: p.hour * 60 + p.minute };
+};
+
+// The instant for a local clinic date plus minutes past midnight.
+const fromClinicLocal = (date, minutes, timezone) => {
+    const wallClock = new Date(`${date}T00:00:00Z`).getTime() + minutes * 60 * 1000;
+    const offsetAt = (instant) => {
+        const p = zonedParts(instant, timezone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+    };
+    // Second pass settles times near a daylight-saving change.
+    let instant = wallClock - offsetAt(wallClock);
+    instant = wallClock - offsetAt(instant);
+    return new Date(instant);
+};
+
+const clinicDateOf = (instant, timezone) => toClinicLocal(instant, timezone).date;
+
+// Accepts either a local clinic time ('2025-06-01T09:30') or a full ISO timestamp with an
+// offset, and returns an ISO timestamp. Anything else is returned untouched for validation.
+const parseClinicDateTime = (value, timezone) => {
+    if (!value) return null;
+    const text = String(value).trim();
+    const local = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+    if (local) {
+        const minutes = Number(local[2]) * 60 + Number(local[3]) + Number(local[4] || 0) / 60;
+        return fromClinicLocal(local[1], minutes, timezone).toISOString();
+    }
+    const parsed = new Date(text);
+    return Number.isNaN(parsed.getTime()) ? text : parsed.toISOString();
+};
+
+// --- Login Attempt Limiting ---
+// Failed logins are tracked per account and per IP. After a few failures each further
+// attempt must wait progressively longer, and past a threshold the key is locked out.
+// State lives behind a small store interface (get / set / delete / list) so a single
+// instance can keep it in memory while serverless deployments share it through the
+// 'login_attempts' table: key (text, primary key), failures, last_failure_at, locked_until.
+
+const LOGIN_LIMITS = {
+    account: { freeAttempts: 3, lockoutAfter: 10 },
+    ip: { freeAttempts: 10, lockoutAfter: 50 }
+};
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const LOGIN_MAX_DELAY_MS = 60 * 1000;
+
+// A record that no longer counts for anything: its failures are outside the window and
+// any lockout has passed. Forgetting it changes nothing for the caller.
+const loginRecordExpired = (record, now = Date.now()) => {
+    const lastFailure = record.lastFailureAt ? new Date(record.lastFailureAt).getTime() : 0;
+    const lockedUntil = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+    return now - lastFailure > LOGIN_FAILURE_WINDOW_MS && lockedUntil <= now;
+};
+
+// Expired records are dropped as they are read, and swept at most once a minute on
+// writes, so attempts against made-up emails can't grow memory without bound.
+class MemoryLoginAttemptStore {
+    constructor() {
+        this.records = new Map();
+        this.lastSweepAt = 0;
+    }
+    sweep(now = Date.now()) {
+        if (now - this.lastSweepAt < 60 * 1000) return;
+        this.lastSweepAt = now;
+        for (const [key, record] of this.records) {
+            if (loginRecordExpired(record, now)) this.records.delete(key);
+        }
+    }
+    async get(key) {
+        const record = this.records.get(key);
+        if (record && loginRecordExpired(record)) {
+            this.records.delete(key);
+            return null;
+        }
+        return record || null;
+    }
+    async set(key, record) {
+        this.sweep();
+        this.records.set(key, record);
+    }
+    async delete(key) {
+        this.records.delete(key);
+    }
+    async list() {
+        return Array.from(this.records.entries())
+            .filter(([, record]) => !loginRecordExpired(record))
+            .map(([key, record]) => ({ key, ...record }));
+    }
+}
+
+class SupabaseLoginAttemptStore {
+    async get(key) {
+        const { data, error } = await supabase.from('login_attempts').select('*').eq('key', key).maybeSingle();
+        if (error) throw error;
+        return data ? { failures: data.failures, lastFailureAt: data.last_failure_at, lockedUntil: data.locked_until } : null;
+    }
+    async set(key, record) {
+        const { error } = await supabase.from('login_attempts').upsert({
+            key,
+            failures: record.failures,
+            last_failure_at: record.lastFailureAt,
+            locked_until: record.lockedUntil
+        }, { onConflict: 'key' });
+        if (error) throw error;
+    }
+    async delete(key) {
+        const { error } = await supabase.from('login_attempts').delete().eq('key', key);
+        if (error) throw error;
+    }
+    async list() {
+        const { data, error } = await supabase.from('login_attempts').select('*').order('last_failure_at', { ascending: false });
+        if (error) throw error;
+        return data.map(row => ({ key: row.key, failures: row.failures, lastFailureAt: row.last_failure_at, lockedUntil: row.locked_until }));
+    }
+}
+
+const loginAttemptStore = process.env.LOGIN_ATTEMPT_STORE === 'database'
+    ? new SupabaseLoginAttemptStore()
+    : new MemoryLoginAttemptStore();
+
+// Milliseconds the caller must still wait before this key may try again (0 = allowed).
+const loginWaitMs = (record, limits, now = Date.now()) => {
+    if (!record) return 0;
+    if (record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+        return new Date(record.lockedUntil).getTime() - now;
+    }
+    const extraFailures = record.failures - limits.freeAttempts;
+    if (extraFailures < 0 || !record.lastFailureAt) return 0;
+    const delay = Math.min(1000 * 2 ** extraFailures, LOGIN_MAX_DELAY_MS);
+    return Math.max(0, new Date(record.lastFailureAt).getTime() + delay - now);
+};
+
+// Password resets count per IP on their own, so a busy shared connection requesting
+// codes doesn't slow down or lock out everyone's logins from it.
+const loginLimiterKeys = (req, scope, email) => ({
+    account: `account:${scope}:${String(email || '').trim().toLowerCase()}`,
+    ip: scope === 'reset' ? `ip:reset:${req.ip}` : `ip:${req.ip}`
+});
+
+// Returns the number of seconds to wait, or 0 if the login may proceed.
+const checkLoginAllowed = async (keys) => {
+    const [accountRecord, ipRecord] = await Promise.all([loginAttemptStore.get(keys.account), loginAttemptStore.get(keys.ip)]);
+    const waitMs = Math.max(loginWaitMs(accountRecord, LOGIN_LIMITS.account), loginWaitMs(ipRecord, LOGIN_LIMITS.ip));
+    return Math.ceil(waitMs / 1000);
+};
+
+const recordLoginFailure = async (keys) => {
+    const now = Date.now();
+    await Promise.all(Object.entries(keys).map(async ([kind, key]) => {
+        const existing = await loginAttemptStore.get(key);
+        const stale = !existing || !existing.lastFailureAt || now - new Date(existing.lastFailureAt).getTime() > LOGIN_FAILURE_WINDOW_MS;
+        const failures = (stale ? 0 : existing.failures) + 1;
+        const lockedUntil = failures >= LOGIN_LIMITS[kind].lockoutAfter
+            ? new Date(now + LOGIN_LOCKOUT_MS).toISOString()
+            : (existing && existing.lockedUntil) || null;
+        if (failures === LOGIN_LIMITS[kind].lockoutAfter) {
+            console.warn(`Login lockout applied to ${kind} after ${failures} failed attempts.`);
+        }
+        await loginAttemptStore.set(key, { failures, lastFailureAt: new Date(now).toISOString(), lockedUntil });
+    }));
+};
+
+const clearLoginFailures = async (keys) => {
+    await loginAttemptStore.delete(keys.account);
+};
+
+const tooManyAttempts = (res, retryAfterSeconds, what = 'failed login attempts') => {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ success: false, message: `Too many ${what}. Try again in ${retryAfterSeconds} seconds.`, retryAfter: retryAfterSeconds });
+};
+
+// --- Idempotency Keys ---
+// Write endpoints that accept an Idempotency-Key header remember their first response in
+// 'idempotency_keys' (key, scope, request_hash, status_code, response, created_at; unique
+// on key + scope) for 24 hours. A retry with the same key replays that response instead
+// of running again, and a retry while the first request is still running gets a 409.
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (key.length > 255) {
+        return res.status(400).json({ success: false, message: 'Idempotency-Key must be at most 255 characters.' });
+    }
+    const scope = `${req.staff ? `staff:${req.staff.id}` : 'anonymous'}:${req.method} ${req.originalUrl.split('?')[0]}`;
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+    await supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('key', key)
+        .eq('scope', scope)
+        .lt('created_at', new Date(Date.now() - IDEMPOTENCY_TTL_MS).toISOString());
+    const { error: claimError } = await supabase.from('idempotency_keys').insert({ key, scope, request_hash: requestHash });
+    if (claimError) {
+        const { data: existing } = await supabase.from('idempotency_keys').select('*').eq('key', key).eq('scope', scope).maybeSingle();
+        if (!existing) {
+            console.error('Failed to claim idempotency key:', claimError.message);
+            return res.status(500).json({ success: false, message: 'Could not process the request.' });
+        }
+        if (existing.request_hash !== requestHash) {
+            return res.status(422).json({ success: false, message: 'This Idempotency-Key was already used for a different request.' });
+        }
+        if (existing.status_code == null) {
+            return res.status(409).json({ success: false, message: 'A request with this Idempotency-Key is still being processed.' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.status_code).json(existing.response);
+    }
+
+    const releaseKey = () => supabase.from('idempotency_keys').delete().eq('key', key).eq('scope', scope).is('status_code', null);
+
+    // Store the outcome before it is sent, so a retry never sees the key half-finished.
+    // Server errors release the key so the client may try again.
+    const sendJson = res.json.bind(res);
+    let stored = false;
+    res.json = (body) => {
+        stored = true;
+        const save = async () => (res.statusCode >= 500
+            ? releaseKey()
+            : supabase.from('idempotency_keys').update({ status_code: res.statusCode, response: body }).eq('key', key).eq('scope', scope));
+        save()
+            .then(({ error }) => { if (error) console.error('Failed to store idempotent response:', error.message); })
+            .catch(error => console.error('Failed to store idempotent response:', error.message))
+            .finally(() => sendJson(body));
+        return res;
+    };
+    // A response that never went through res.json (a handler that threw and got Express's
+    // default 500, or a dropped connection) would leave the key stuck; release it instead.
+    res.on('close', () => {
+        if (stored) return;
+        (async () => releaseKey())()
+            .then(({ error }) => { if (error) console.error('Failed to release idempotency key:', error.message); })
+            .catch(error => console.error('Failed to release idempotency key:', error.message));
+    });
+    next();
+};
+
 // 4. Define API Routes
 
 // Test route
@@ -69,56 +768,112 @@ app.get('/api/test', (req, res) => {
 // Admin Login Route
 app.post('/api/admin/login', async (req, res) => {
     const { username: email, password } = req.body;
-    console.log(`Received login attempt for email: ${email}`);
+    const limiterKeys = loginLimiterKeys(req, 'staff', email);
+    const retryAfter = await checkLoginAllowed(limiterKeys);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
     const { data, error } = await supabase.auth.signInWithPassword({ email, password });
     if (error) {
         console.error('Supabase login error:', error.message);
+        await recordLoginFailure(limiterKeys);
         return res.status(401).json({ success: false, message: error.message });
     }
+    await clearLoginFailures(limiterKeys);
     if (data.user) {
-        const { data: staffProfile, error: profileError } = await supabase.from('staff').select('full_name, role').eq('email', data.user.email).single();
-        if (profileError) {
+        const staffProfile = await findStaffForAuthUser(data.user).catch((profileError) => {
             console.error('Error fetching staff profile:', profileError.message);
+            return null;
+        });
+        if (!staffProfile) {
             return res.status(500).json({ success: false, message: "Login successful, but couldn't fetch user profile." });
         }
+        if (staffProfile.is_active === false) {
+            return res.status(403).json({ success: false, message: 'This staff account has been deactivated.' });
+        }
         console.log('Login and profile fetch successful for:', staffProfile.full_name);
-        res.status(200).json({ success: true, message: 'Login successful', user: { fullName: staffProfile.full_name, role: staffProfile.role, email: data.user.email }, token: data.session.access_token });
+        const permissions = Object.keys(ROLE_PERMISSIONS).filter((permission) => hasPermission(staffProfile.role, permission));
+        res.status(200).json({ success: true, message: 'Login successful', user: { fullName: staffProfile.full_name, role: staffProfile.role, email: data.user.email, permissions }, token: data.session.access_token });
     } else {
         return res.status(500).json({ success: false, message: "An unexpected error occurred during login." });
     }
 });
 
-// Get All Staff Route (Corrected and with better logging)
-app.get('/api/staff', async (req, res) => {
+// --- Login Lockouts (admin) ---
+
+// GET accounts and IPs with recent failed logins, flagging those currently locked or delayed
+app.get('/api/admin/lockouts', authenticateStaff, requirePermission('security:manage'), async (req, res) => {
+    try {
+        const records = await loginAttemptStore.list();
+        const data = records.map(record => {
+            const limits = record.key.startsWith('ip:') ? LOGIN_LIMITS.ip : LOGIN_LIMITS.account;
+            return { ...record, retryAfterSeconds: Math.ceil(loginWaitMs(record, limits) / 1000) };
+        });
+        res.status(200).json({ success: true, data });
+    } catch (error) {
+        console.error('Error listing login lockouts:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to fetch lockouts.' });
+    }
+});
+
+// DELETE (clear) the failed-login record for one key, e.g. "account:staff:jane@example.com"
+app.delete('/api/admin/lockouts/:key', authenticateStaff, requirePermission('security:manage'), async (req, res) => {
+    const { key } = req.params;
+    try {
+        await loginAttemptStore.delete(key);
+        await recordAudit(req, { action: 'delete', entityType: 'login_lockout', entityId: key });
+        res.status(200).json({ success: true, message: 'Lockout cleared.' });
+    } catch (error) {
+        console.error('Error clearing login lockout:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to clear lockout.' });
+    }
+});
+
+// Get All Staff Route. Deactivated staff are left out unless ?include_inactive=true,
+// so they disappear from therapist pickers but stay joined on old appointments and notes.
+app.get('/api/staff', authenticateStaff, requirePermission('staff:read'), async (req, res) => {
     console.log('Received request to get all staff.');
     
     // Use select('*') to guarantee we ask for all columns.
-    const { data, error } = await supabase
+    let query = supabase
         .from('staff')
-        .select('*')
-        .order('full_name', { ascending: true });
+        .select('*');
+
+    if (req.query.include_inactive !== 'true') {
+        query = query.not('is_active', 'is', false);
+    }
+
+    const { data, error } = await query.order('full_name', { ascending: true });
 
     if (error) {
         console.error('Error fetching staff:', error.message);
         return res.status(500).json({ success: false, message: 'Failed to fetch staff list.' });
     }
 
-    // --- IMPORTANT DEBUGGING STEP ---
-    // Log the raw data we get back from Supabase to the terminal.
-    console.log("Data received from Supabase 'staff' table:", data);
-    // ---------------------------------
-
-    res.status(200).json({ success: true, data });
+    const role = req.query.role ? normalizeRole(req.query.role) : null;
+    res.status(200).json({ success: true, data: role ? data.filter(s => normalizeRole(s.role) === role) : data });
 });
 
 // --- Create New Staff Route ---
-app.post('/api/staff', async (req, res) => {
+app.post('/api/staff', authenticateStaff, requirePermission('staff:write'), async (req, res) => {
     console.log('Received request to create new staff member.');
     const { staffName, staffEmail, staffPhone, staffRole, staffPassword } = req.body;
 
+    const { value: profile, errors } = validateAgainstSchema(SCHEMAS.staff, {
+        full_name: staffName,
+        email: staffEmail,
+        phone_number: staffPhone,
+        role: staffRole ? normalizeRole(staffRole) : undefined
+    });
+    const passwordProblem = validateNewPassword(staffPassword);
+    if (passwordProblem) errors.staffPassword = passwordProblem;
+    if (!profile.email && !errors.email) errors.email = 'is required';
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+    }
+
     // Step 1: Create the secure user in Supabase Auth
     const { data: authData, error: authError } = await supabase.auth.admin.createUser({
-        email: staffEmail,
+        email: profile.email,
         password: staffPassword,
         email_confirm: true, // Auto-confirm the user for simplicity
     });
@@ -130,32 +885,154 @@ app.post('/api/staff', async (req, res) => {
 
     console.log('Auth user created successfully:', authData.user.id);
 
-    // Step 2: Create the corresponding profile in the 'staff' table
+    // Step 2: Create the corresponding profile in the 'staff' table, linked by the auth UUID
     const { data: profileData, error: profileError } = await supabase
         .from('staff')
-        .insert({
-            // The 'id' in the staff table is an auto-incrementing number,
-            // but we also need to link it to the auth user's UUID if we want to do joins later.
-            // For now, we'll just insert the profile data.
-            full_name: staffName,
-            email: staffEmail,
-            phone_number: staffPhone,
-            role: staffRole,
-            // We could add 'avatar_url' here if we had an upload field
-        })
+        .insert({ ...profile, role: profile.role || 'therapist', auth_user_id: authData.user.id, is_active: true })
         .select();
 
     if (profileError) {
         console.error('Error creating staff profile:', profileError.message);
-        // In a real app, you would delete the auth user we just created to "roll back".
-        return res.status(500).json({ success: false, message: 'Auth user created, but failed to create profile.' });
+        // Roll back the auth user so the email can be used again.
+        const { error: rollbackError } = await supabase.auth.admin.deleteUser(authData.user.id);
+        if (rollbackError) console.error('Rollback failed, orphaned auth user:', authData.user.id, rollbackError.message);
+        return res.status(500).json({ success: false, message: 'Failed to create staff profile.' });
+    }
+    await recordAudit(req, { action: 'create', entityType: 'staff', entityId: profileData[0].id, after: profileData[0] });
+
+    res.status(201).json({ success: true, message: 'Staff member created successfully!', data: profileData[0] });
+});
+
+// --- Update Staff Profile Route ---
+app.patch('/api/staff/:id', authenticateStaff, requirePermission('staff:write'), validateBody('staff', { partial: true }), async (req, res) => {
+    const { id } = req.params;
+    const { role, ...changes } = req.body;
+    if (role !== undefined) {
+        return res.status(400).json({ success: false, message: 'Use PATCH /api/staff/:id/role to change a role.' });
+    }
+
+    const before = await fetchForAudit('staff', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Staff member not found.' });
+
+    // Keep the login email in step with the profile. If the profile update fails, put it back.
+    const emailChanged = changes.email && changes.email !== before.email;
+    if (emailChanged && before.auth_user_id) {
+        const { error: authError } = await supabase.auth.admin.updateUserById(before.auth_user_id, { email: changes.email, email_confirm: true });
+        if (authError) {
+            console.error('Error updating staff login email:', authError.message);
+            return res.status(400).json({ success: false, message: authError.message });
+        }
+    }
+
+    const { data, error } = await supabase.from('staff').update(changes).eq('id', id).select().single();
+    if (error) {
+        console.error('Error updating staff profile:', error.message);
+        if (emailChanged && before.auth_user_id) {
+            await supabase.auth.admin.updateUserById(before.auth_user_id, { email: before.email, email_confirm: true });
+        }
+        return res.status(500).json({ success: false, message: 'Failed to update staff member.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'staff', entityId: id, before, after: data });
+    res.status(200).json({ success: true, message: 'Staff member updated successfully!', data });
+});
+
+// Counts admins who can still log in, so the clinic is never left without one.
+const countActiveAdmins = async () => {
+    const { data } = await supabase.from('staff').select('role').not('is_active', 'is', false);
+    return (data || []).filter(s => normalizeRole(s.role) === 'admin').length;
+};
+
+// --- Change Staff Role Route ---
+app.patch('/api/staff/:id/role', authenticateStaff, requirePermission('staff:write'), async (req, res) => {
+    const { id } = req.params;
+    const role = normalizeRole(req.body && req.body.role);
+    if (!STAFF_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors: { role: `must be one of: ${STAFF_ROLES.join(', ')}` } });
+    }
+
+    const before = await fetchForAudit('staff', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Staff member not found.' });
+    if (normalizeRole(before.role) === 'admin' && role !== 'admin' && before.is_active !== false && (await countActiveAdmins()) <= 1) {
+        return res.status(409).json({ success: false, message: 'Cannot remove the last active admin.' });
+    }
+
+    const { data, error } = await supabase.from('staff').update({ role }).eq('id', id).select().single();
+    if (error) {
+        console.error('Error changing staff role:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to change role.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'staff', entityId: id, before, after: data });
+    res.status(200).json({ success: true, message: 'Role updated successfully!', data });
+});
+
+// Bans (or unbans) the auth user so deactivated staff can't sign in or refresh a session.
+const setStaffLoginBlocked = async (authUserId, blocked) => {
+    if (!authUserId) return { error: null };
+    return supabase.auth.admin.updateUserById(authUserId, { ban_duration: blocked ? '876000h' : 'none' });
+};
+
+// --- Deactivate / Reactivate Staff Routes ---
+app.post('/api/staff/:id/deactivate', authenticateStaff, requirePermission('staff:write'), async (req, res) => {
+    const { id } = req.params;
+    const before = await fetchForAudit('staff', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Staff member not found.' });
+    if (String(before.id) === String(req.staff.id)) {
+        return res.status(409).json({ success: false, message: 'You cannot deactivate your own account.' });
+    }
+    if (before.is_active === false) return res.status(200).json({ success: true, message: 'Staff member is already inactive.', data: before });
+    if (normalizeRole(before.role) === 'admin' && (await countActiveAdmins()) <= 1) {
+        return res.status(409).json({ success: false, message: 'Cannot deactivate the last active admin.' });
+    }
+
+    const { error: banError } = await setStaffLoginBlocked(before.auth_user_id, true);
+    if (banError) {
+        console.error('Error blocking staff login:', banError.message);
+        return res.status(500).json({ success: false, message: 'Failed to deactivate staff member.' });
+    }
+
+    const { data, error } = await supabase
+        .from('staff')
+        .update({ is_active: false, deactivated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+    if (error) {
+        console.error('Error deactivating staff member:', error.message);
+        await setStaffLoginBlocked(before.auth_user_id, false);
+        return res.status(500).json({ success: false, message: 'Failed to deactivate staff member.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'staff', entityId: id, before, after: data });
+    res.status(200).json({ success: true, message: 'Staff member deactivated.', data });
+});
+
+app.post('/api/staff/:id/reactivate', authenticateStaff, requirePermission('staff:write'), async (req, res) => {
+    const { id } = req.params;
+    const before = await fetchForAudit('staff', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Staff member not found.' });
+
+    const { error: unbanError } = await setStaffLoginBlocked(before.auth_user_id, false);
+    if (unbanError) {
+        console.error('Error unblocking staff login:', unbanError.message);
+        return res.status(500).json({ success: false, message: 'Failed to reactivate staff member.' });
     }
 
-    res.status(201).json({ success: true, message: 'Staff member created successfully!' });
+    const { data, error } = await supabase
+        .from('staff')
+        .update({ is_active: true, deactivated_at: null })
+        .eq('id', id)
+        .select()
+        .single();
+    if (error) {
+        console.error('Error reactivating staff member:', error.message);
+        await setStaffLoginBlocked(before.auth_user_id, true);
+        return res.status(500).json({ success: false, message: 'Failed to reactivate staff member.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'staff', entityId: id, before, after: data });
+    res.status(200).json({ success: true, message: 'Staff member reactivated.', data });
 });
 
 // Get All Patients (This version with dynamic Last Visit is correct)
-app.get('/api/patients', async (req, res) => {
+app.get('/api/patients', authenticateStaff, requirePermission('patients:read'), async (req, res) => {
     console.log('Received request to get all patients.');
     const { data: patients, error: patientsError } = await supabase
         .from('patients')
@@ -165,6 +1042,7 @@ app.get('/api/patients', async (req, res) => {
         console.error('Error fetching patient data:', patientsError);
         return res.status(500).json({ success: false, message: 'Failed to fetch patient data.' });
     }
+    const timezone = await getClinicTimezone();
     const patientDataWithLastVisit = await Promise.all(
         patients.map(async (p) => {
             const { data: lastAppointment } = await supabase.from('appointments').select('start_time').eq('patient_id', p.id).order('start_time', { ascending: false }).limit(1).single();
@@ -174,7 +1052,7 @@ app.get('/api/patients', async (req, res) => {
                 fullName: p.full_name,
                 phoneNumber: p.phone_number,
                 avatarUrl: p.avatar_url || '../images/avatar-generic.png',
-                lastVisit: lastAppointment ? new Date(lastAppointment.start_time).toISOString().split('T')[0] : 'N/A',
+                lastVisit: lastAppointment ? clinicDateOf(lastAppointment.start_time, timezone) : 'N/A',
                 assignedTherapist: p.staff ? p.staff.full_name : 'Unassigned'
             };
         })
@@ -183,7 +1061,7 @@ app.get('/api/patients', async (req, res) => {
 });
 
 // Get Single Patient (This is correct)
-app.get('/api/patients/:id', async (req, res) => {
+app.get('/api/patients/:id', authenticateStaff, requirePermission('patients:read'), async (req, res) => {
     const { id } = req.params;
     const { data, error } = await supabase.from('patients').select('*').eq('id', id).single();
     if (error || !data) return res.status(404).json({ success: false, message: 'Patient not found.' });
@@ -191,7 +1069,7 @@ app.get('/api/patients/:id', async (req, res) => {
 });
 
 // Create New Patient (Corrected to use database column names)
-app.post('/api/patients', async (req, res) => {
+app.post('/api/patients', authenticateStaff, requirePermission('patients:write'), validateBody('patient'), async (req, res) => {
     console.log('Received request to create new patient with data:', req.body);
     // The keys in req.body (e.g., full_name, date_of_birth) now directly match the database columns.
     const { data, error } = await supabase.from('patients').insert(req.body).select();
@@ -199,104 +1077,106 @@ app.post('/api/patients', async (req, res) => {
         console.error('Error creating patient:', error.message);
         return res.status(500).json({ success: false, message: `Failed to create patient: ${error.message}` });
     }
+    await recordAudit(req, { action: 'create', entityType: 'patient', entityId: data[0].id, patientId: data[0].id, after: data[0] });
     res.status(201).json({ success: true, message: 'Patient created successfully!', data: data[0] });
 });
 
 // Update Patient (Corrected to use database column names)
-app.patch('/api/patients/:id', async (req, res) => {
+app.patch('/api/patients/:id', authenticateStaff, requirePermission('patients:write'), validateBody('patient', { partial: true }), async (req, res) => {
     const { id } = req.params;
     console.log(`Received request to update patient ${id} with data:`, req.body);
+    const before = await fetchForAudit('patients', id);
     const { data, error } = await supabase.from('patients').update(req.body).eq('id', id).select();
     if (error) {
         console.error('Error updating patient:', error.message);
         return res.status(500).json({ success: false, message: `Failed to update patient: ${error.message}` });
     }
+    await recordAudit(req, { action: 'update', entityType: 'patient', entityId: id, patientId: id, before, after: data[0] });
     res.status(200).json({ success: true, message: 'Patient updated successfully!', data: data[0] });
 });
 
 // Delete Patient (This is correct)
-app.delete('/api/patients/:id', async (req, res) => {
+app.delete('/api/patients/:id', authenticateStaff, requirePermission('patients:delete'), async (req, res) => {
     const { id } = req.params;
+    const before = await fetchForAudit('patients', id);
     const { error } = await supabase.from('patients').delete().eq('id', id);
     if (error) {
         if (error.code === '23503') return res.status(409).json({ success: false, message: 'Cannot delete patient with existing invoices/appointments.' });
         return res.status(500).json({ success: false, message: error.message });
     }
+    await recordAudit(req, { action: 'delete', entityType: 'patient', entityId: id, patientId: id, before });
     res.status(200).json({ success: true, message: 'Patient deleted successfully!' });
 });
 
 // --- ADVANCED Dashboard Stats Route (Final & Corrected Version) ---
-app.get('/api/dashboard/advanced-stats', async (req, res) => {
+app.get('/api/dashboard/advanced-stats', authenticateStaff, requirePermission('dashboard:read'), async (req, res) => {
     console.log('Received request for ADVANCED dashboard stats.');
 
     try {
-        // --- Date Calculations ---
-        const todayStart = new Date();
-        todayStart.setUTCHours(0, 0, 0, 0);
-        const todayEnd = new Date(todayStart);
-        todayEnd.setUTCDate(todayEnd.getUTCDate() + 1);
-        
-        const yesterdayStart = new Date(todayStart);
-        yesterdayStart.setUTCDate(yesterdayStart.getUTCDate() - 1);
+        // --- Date Calculations (local days in the clinic timezone) ---
+        const timezone = await getClinicTimezone();
+        const today = clinicDateOf(Date.now(), timezone);
+        const todayStart = fromClinicLocal(today, 0, timezone);
+        const todayEnd = fromClinicLocal(addDaysToDate(today, 1), 0, timezone);
+        const yesterdayStart = fromClinicLocal(addDaysToDate(today, -1), 0, timezone);
 
         // --- Perform all queries concurrently for efficiency ---
         const [
             revenueTodayRes, appointmentsTodayRes, newPatientsTodayRes,
             cancellationsTodayRes, todaysScheduleRes, allPatientsDobRes,
-            revenueYesterdayRes, appointmentsYesterdayRes
+            revenueYesterdayRes, appointmentsYesterdayRes, noShowsTodayRes,
+            baseCurrency, currentRate
         ] = await Promise.all([
-            supabase.from('invoices').select('total_amount').eq('status', 'Paid').gte('created_at', todayStart.toISOString()).lt('created_at', todayEnd.toISOString()),
+            supabase.from('payments').select('id, amount, invoices ( currency, exchange_rate )').gte('received_at', todayStart.toISOString()).lt('received_at', todayEnd.toISOString()),
             supabase.from('appointments').select('*', { count: 'exact', head: true }).gte('start_time', todayStart.toISOString()).lt('start_time', todayEnd.toISOString()),
             supabase.from('patients').select('*', { count: 'exact', head: true }).gte('created_at', todayStart.toISOString()).lt('created_at', todayEnd.toISOString()),
             supabase.from('appointments').select('*', { count: 'exact', head: true }).eq('status', 'Cancelled').gte('start_time', todayStart.toISOString()).lt('start_time', todayEnd.toISOString()),
             supabase.from('appointments').select('start_time, title, status, staff:staff!appointments_staff_id_fkey(full_name)').gte('start_time', todayStart.toISOString()).lt('start_time', todayEnd.toISOString()).order('start_time', { ascending: true }),
             supabase.from('patients').select('date_of_birth'),
-            supabase.from('invoices').select('total_amount').eq('status', 'Paid').gte('created_at', yesterdayStart.toISOString()).lt('created_at', todayStart.toISOString()),
-            supabase.from('appointments').select('*', { count: 'exact', head: true }).gte('start_time', yesterdayStart.toISOString()).lt('start_time', todayStart.toISOString())
+            supabase.from('payments').select('id, amount, invoices ( currency, exchange_rate )').gte('received_at', yesterdayStart.toISOString()).lt('received_at', todayStart.toISOString()),
+            supabase.from('appointments').select('*', { count: 'exact', head: true }).gte('start_time', yesterdayStart.toISOString()).lt('start_time', todayStart.toISOString()),
+            supabase.from('appointments').select('*', { count: 'exact', head: true }).eq('status', 'No-show').gte('start_time', todayStart.toISOString()).lt('start_time', todayEnd.toISOString()),
+            getBaseCurrency(),
+            getExchangeRate(today)
         ]);
 
+        // Counted here rather than with the get_daily_appointment_counts RPC, which
+        // groups by UTC day and so can't follow the clinic timezone.
         let weeklyAppointments = [];
-        const { data: weeklyRpcData, error: weeklyRpcError } = await supabase.rpc('get_daily_appointment_counts');
-        if (!weeklyRpcError && Array.isArray(weeklyRpcData)) {
-            weeklyAppointments = weeklyRpcData;
+        const weekStartDate = addDaysToDate(today, -6);
+
+        const { data: weeklyRaw, error: weeklyRawError } = await supabase
+            .from('appointments')
+            .select('start_time')
+            .gte('start_time', fromClinicLocal(weekStartDate, 0, timezone).toISOString())
+            .lt('start_time', todayEnd.toISOString());
+
+        if (weeklyRawError) {
+            console.warn('Could not load weekly appointment counts:', weeklyRawError.message);
         } else {
-            const weekStart = new Date(todayStart);
-            weekStart.setUTCDate(weekStart.getUTCDate() - 6);
-
-            const { data: weeklyRaw, error: weeklyRawError } = await supabase
-                .from('appointments')
-                .select('start_time')
-                .gte('start_time', weekStart.toISOString())
-                .lt('start_time', todayEnd.toISOString());
-
-            if (weeklyRawError) {
-                console.warn('Could not load weekly appointment counts:', weeklyRawError.message);
-            } else {
-                const countsByDay = new Map();
-                for (let i = 0; i < 7; i++) {
-                    const d = new Date(weekStart);
-                    d.setUTCDate(weekStart.getUTCDate() + i);
-                    countsByDay.set(d.toISOString().split('T')[0], 0);
-                }
+            const countsByDay = new Map();
+            for (let i = 0; i < 7; i++) {
+                countsByDay.set(addDaysToDate(weekStartDate, i), 0);
+            }
 
-                for (const row of weeklyRaw || []) {
-                    if (!row.start_time) continue;
-                    const day = new Date(row.start_time).toISOString().split('T')[0];
-                    if (countsByDay.has(day)) {
-                        countsByDay.set(day, countsByDay.get(day) + 1);
-                    }
+            for (const row of weeklyRaw || []) {
+                if (!row.start_time) continue;
+                const day = clinicDateOf(row.start_time, timezone);
+                if (countsByDay.has(day)) {
+                    countsByDay.set(day, countsByDay.get(day) + 1);
                 }
-
-                weeklyAppointments = Array.from(countsByDay.entries()).map(([appointment_date, appointment_count]) => ({
-                    appointment_date,
-                    appointment_count
-                }));
             }
+
+            weeklyAppointments = Array.from(countsByDay.entries()).map(([appointment_date, appointment_count]) => ({
+                appointment_date,
+                appointment_count
+            }));
         }
         
         // --- Process Revenue and Trends ---
-        const todaysRevenue = (revenueTodayRes.data || []).reduce((sum, inv) => sum + (inv.total_amount || 0), 0);
-        const yesterdaysRevenue = (revenueYesterdayRes.data || []).reduce((sum, inv) => sum + (inv.total_amount || 0), 0);
+        // Money actually received that day, net of refunds, in the base currency
+        const todaysRevenue = sumPaymentsInBaseCurrency(revenueTodayRes.data || [], baseCurrency, currentRate);
+        const yesterdaysRevenue = sumPaymentsInBaseCurrency(revenueYesterdayRes.data || [], baseCurrency, currentRate);
         const appointmentsToday = appointmentsTodayRes.count || 0;
         const appointmentsYesterday = appointmentsYesterdayRes.count || 0;
         let revenueTrend = yesterdaysRevenue > 0 ? ((todaysRevenue - yesterdaysRevenue) / yesterdaysRevenue) * 100 : (todaysRevenue > 0 ? 100 : 0);
@@ -324,8 +1204,9 @@ app.get('/api/dashboard/advanced-stats', async (req, res) => {
 
         // --- Combine all stats into a single object ---
         const stats = {
-            todaysRevenue, appointmentsToday, newPatientsToday,
+            todaysRevenue, baseCurrency, appointmentsToday, newPatientsToday,
             cancellationsToday: cancellationsTodayRes.count || 0,
+            noShowsToday: noShowsTodayRes.count || 0,
             trends: { revenue: revenueTrend.toFixed(0), appointments: appointmentTrend, newPatients: newPatientsToday },
             todaysSchedule: todaysScheduleRes.data || [],
             ageDemographics: [ageGroups.under18, ageGroups['18-30'], ageGroups['31-50'], ageGroups.over50],
@@ -341,150 +1222,372 @@ app.get('/api/dashboard/advanced-stats', async (req, res) => {
     }
 });
 
-app.post('/api/invoices', async (req, res) => {
-    console.log(`[${BUILD_TAG}] Received request to create a new invoice.`);
+// --- Invoice Writes ---
+// Invoices touch several tables (invoices, invoice_items, products, patient_charges).
+// Each step registers how to undo itself, and if a later step fails the completed ones
+// are rolled back in reverse, so a failed request leaves nothing half-written.
 
-    try {
-        const {
-            patientId,
-            appointmentId,
-            status,
-            items = [],
-            inventoryUpdates = [],
-            diagnostic = '',
-            discount_type,
-            discount_value,
-            total_amount: totalAmountFromBody,
-            subtotal: subtotalFromBody
-        } = req.body;
-
-        const toNumber = (val) => {
-            const n = parseFloat(val);
-            return Number.isFinite(n) ? n : 0;
-        };
+const toAmount = (val) => {
+    const n = parseFloat(val);
+    return Number.isFinite(n) ? n : 0;
+};
 
-        // Normalize items to use service_name/quantity/unit_price
-        const normalizedItems = items.map((item, idx) => {
-            const qty = toNumber(item.quantity ?? 1);
-            const unit = toNumber(item.unit_price ?? item.price ?? 0);
-            const serviceName = item.service_name || item.service || `Item ${idx + 1}`;
-            return {
-                service_name: serviceName,
-                quantity: qty,
-                unit_price: unit
-            };
-        }).filter(i => i.service_name && i.quantity > 0);
+// Resolves submitted lines against the catalog. Each line names a service, a product or a
+// prepaid package: { service_id | product_id | package_id, quantity, unit_price,
+// override_reason }. Prices come from the
+// catalog; any other unit_price is an override, which needs the invoices:override_price
+// permission and a reason. Returns { lines } or { errors }.
+const resolveInvoiceLines = async (req, items) => {
+    if (!Array.isArray(items)) return { errors: { items: 'must be a list' } };
+    const idsOf = (field) => [...new Set(items.filter(i => i && i[field]).map(i => i[field]))];
+    const serviceIds = idsOf('service_id');
+    const productIds = idsOf('product_id');
+    const packageIds = idsOf('package_id');
+    const [servicesRes, productsRes, packagesRes] = await Promise.all([
+        serviceIds.length > 0 ? supabase.from('services').select('id, name, default_price, is_active').in('id', serviceIds) : { data: [] },
+        productIds.length > 0 ? supabase.from('products').select('id, name, unit_price').in('id', productIds) : { data: [] },
+        packageIds.length > 0 ? supabase.from('packages').select('id, name, price, is_active').in('id', packageIds) : { data: [] }
+    ]);
+    if (servicesRes.error) throw servicesRes.error;
+    if (productsRes.error) throw productsRes.error;
+    if (packagesRes.error) throw packagesRes.error;
+    const canOverride = hasPermission(req.staff.role, 'invoices:override_price');
+
+    const errors = {};
+    const lines = [];
+    items.forEach((item, idx) => {
+        const key = `items[${idx}]`;
+        const kinds = item ? ['service_id', 'product_id', 'package_id'].filter(field => item[field]) : [];
+        if (kinds.length !== 1) {
+            errors[key] = 'must reference exactly one of service_id, product_id or package_id';
+            return;
+        }
+        const catalog = item.service_id
+            ? servicesRes.data.find(s => String(s.id) === String(item.service_id))
+            : item.product_id
+                ? productsRes.data.find(p => String(p.id) === String(item.product_id))
+                : packagesRes.data.find(p => String(p.id) === String(item.package_id));
+        if (!catalog) {
+            errors[key] = `${kinds[0].replace('_id', '')} not found`;
+            return;
+        }
+        if (catalog.is_active === false) {
+            errors[key] = `${catalog.name} is no longer offered`;
+            return;
+        }
+        const quantity = Number(item.quantity ?? 1);
+        const countable = Boolean(item.product_id || item.package_id);
+        if (!(quantity > 0) || (countable && !Number.isInteger(quantity))) {
+            errors[key] = countable ? 'quantity must be a whole number above zero' : 'quantity must be above zero';
+            return;
+        }
 
-        const subtotalFromItems = normalizedItems.reduce((sum, it) => sum + (it.quantity * it.unit_price), 0);
-        const subtotal = subtotalFromItems > 0 ? subtotalFromItems : toNumber(subtotalFromBody);
+        const listPrice = roundMoney(Number(item.service_id ? catalog.default_price : item.product_id ? catalog.unit_price : catalog.price) || 0);
+        const unitPrice = item.unit_price == null || item.unit_price === '' ? listPrice : roundMoney(Number(item.unit_price));
+        if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+            errors[key] = 'unit_price must be a number of at least 0';
+            return;
+        }
+        let overrideReason = null;
+        if (Math.round(unitPrice * 100) !== Math.round(listPrice * 100)) {
+            overrideReason = String(item.override_reason || '').trim();
+            if (!canOverride) {
+                errors[key] = `unit_price must be the catalog price (${listPrice})`;
+                return;
+            }
+            if (!overrideReason) {
+                errors[key] = 'a price override needs an override_reason';
+                return;
+            }
+        }
 
-        const dType = discount_type || 'none';
-        const dValue = toNumber(discount_value);
-        let dAmount = 0;
-        if (dType === 'percent') dAmount = subtotal * (dValue / 100);
-        else if (dType === 'flat') dAmount = dValue;
-        if (dAmount > subtotal) dAmount = subtotal;
+        lines.push({
+            service_id: item.service_id || null,
+            product_id: item.product_id || null,
+            package_id: item.package_id || null,
+            service_name: catalog.name,
+            quantity,
+            unit_price: unitPrice,
+            list_price: listPrice,
+            override_reason: overrideReason,
+            overridden_by: overrideReason ? req.staff.id : null
+        });
+    });
+    return Object.keys(errors).length > 0 ? { errors } : { lines };
+};
 
-        const totalFromBody = toNumber(totalAmountFromBody);
-        const computedTotal = Math.max(0, subtotal - dAmount);
-        const total_amount = totalFromBody > 0 ? totalFromBody : computedTotal;
+// Header amounts, always computed here from the resolved lines, rounded for the invoice's currency.
+const computeInvoiceTotals = (lines, { discount_type, discount_value }, currency = 'USD') => {
+    const subtotal = roundCurrency(lines.reduce((sum, it) => sum + (it.quantity * it.unit_price), 0), currency);
+    const dType = discount_type || 'none';
+    const dValue = toAmount(discount_value);
+    let dAmount = 0;
+    if (dType === 'percent') dAmount = subtotal * (dValue / 100);
+    else if (dType === 'flat') dAmount = dValue;
+    dAmount = roundCurrency(Math.min(Math.max(dAmount, 0), subtotal), currency);
+    return { subtotal, discount_type: dType, discount_value: dValue, discount_amount: dAmount, total_amount: roundCurrency(subtotal - dAmount, currency) };
+};
+
+// A subtotal/total sent by the client must agree with the server's to the cent.
+// Returns { field: message } for any that don't.
+const clientTotalMismatches = (body, totals) => {
+    const errors = {};
+    for (const field of ['subtotal', 'total_amount']) {
+        if (body[field] == null || body[field] === '') continue;
+        if (Math.round(toAmount(body[field]) * 100) !== Math.round(totals[field] * 100)) {
+            errors[field] = `does not match the computed ${totals[field]}`;
+        }
+    }
+    return errors;
+};
+
+// Both of the above, answering 400 on failure. Returns { lines, totals } or null.
+const priceInvoice = async (req, res, currency) => {
+    const { lines, errors } = await resolveInvoiceLines(req, req.body.items || []);
+    if (errors) {
+        res.status(400).json({ success: false, message: 'Validation failed.', errors });
+        return null;
+    }
+    if (!['none', 'percent', 'flat'].includes(req.body.discount_type || 'none')) {
+        res.status(400).json({ success: false, message: 'Validation failed.', errors: { discount_type: 'must be one of: none, percent, flat' } });
+        return null;
+    }
+    const totals = computeInvoiceTotals(lines, req.body, currency);
+    const mismatches = clientTotalMismatches(req.body, totals);
+    if (Object.keys(mismatches).length > 0) {
+        res.status(400).json({ success: false, message: 'The invoice totals do not match the price list.', errors: mismatches });
+        return null;
+    }
+    return { lines, totals };
+};
+
+const rollBack = async (undoSteps) => {
+    for (const undo of undoSteps.reverse()) {
+        try {
+            await undo();
+        } catch (error) {
+            console.error('ROLLBACK STEP FAILED, invoice data may need manual repair:', error.message);
+        }
+    }
+};
+
+// Changes a product's stock by `delta`. The update only lands if the level is still the
+// one that was read, so concurrent sales can't overwrite each other.
+// Returns an error message or null.
+const adjustStock = async (productId, delta) => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const { data: product, error } = await supabase.from('products').select('name, stock_level').eq('id', productId).maybeSingle();
+        if (error || !product) return `Product ${productId} was not found.`;
+        const current = Number(product.stock_level) || 0;
+        if (current + delta < 0) return `Only ${current} of ${product.name} left in stock.`;
+
+        let update = supabase.from('products').update({ stock_level: current + delta }).eq('id', productId);
+        update = product.stock_level == null ? update.is('stock_level', null) : update.eq('stock_level', product.stock_level);
+        const { data: updated, error: updateError } = await update.select('id');
+        if (updateError) return `Could not update stock for ${product.name}.`;
+        if (updated.length > 0) return null;
+    }
+    return `Stock for product ${productId} is changing too quickly. Please try again.`;
+};
+
+// Applies [{ productId, delta }] for a document and registers the reverse of each applied
+// change. Every change is kept in 'stock_movements' (product_id, invoice_id, delta, reason)
+// so a void or credit note knows what to put back. Returns an error message or null.
+const applyStockChanges = async (changes, undoSteps, { invoiceId, reason }) => {
+    for (const { productId, delta } of changes) {
+        if (!productId || !delta) continue;
+        const problem = await adjustStock(productId, delta);
+        if (problem) return problem;
+        undoSteps.push(async () => {
+            const revertProblem = await adjustStock(productId, -delta);
+            if (revertProblem) throw new Error(revertProblem);
+        });
+
+        const { data: movement, error } = await supabase
+            .from('stock_movements')
+            .insert({ product_id: productId, invoice_id: invoiceId, delta, reason })
+            .select('id')
+            .single();
+        if (error) return `Could not record the stock change for product ${productId}.`;
+        undoSteps.push(async () => { await supabase.from('stock_movements').delete().eq('id', movement.id); });
+    }
+    return null;
+};
+
+// Product lines on an invoice → the stock they take
+const saleStockChanges = (lines) => lines
+    .filter(line => line.product_id)
+    .map(line => ({ productId: line.product_id, delta: -line.quantity }));
+
+app.post('/api/invoices', authenticateStaff, requirePermission('invoices:write'), idempotent, async (req, res) => {
+    console.log(`[${BUILD_TAG}] Received request to create a new invoice.`);
+
+    const {
+        patientId,
+        appointmentId,
+        status,
+        payment,
+        coverageId,
+        draft = false,
+        diagnostic = ''
+    } = req.body;
+    const undoSteps = [];
+
+    try {
+        const currencySnapshot = await currentCurrencySnapshot();
+        const priced = await priceInvoice(req, res, currencySnapshot.currency);
+        if (!priced) return;
+        const { lines } = priced;
+        const totals = { ...priced.totals };
+
+        // An insurer or employer covering the patient takes part of an issued invoice.
+        const today = clinicDateOf(Date.now(), await getClinicTimezone());
+        const { coverage, error: coverageError } = await resolveCoverage(patientId, coverageId, today);
+        if (coverageError) return res.status(400).json({ success: false, message: 'Validation failed.', errors: { coverageId: coverageError } });
+        const split = coverage && !draft
+            ? coverageSplit(coverage, lines, totals.discount_amount, await coveredSessionsUsed(coverage.id), currencySnapshot.currency)
+            : { payerAmount: 0, sessions: 0 };
+
+        // Charges queued by policy (e.g. no-show fees) ride along on the patient's next
+        // invoice. They come after any discount and aren't part of the client's total.
+        const { data: pendingCharges } = await supabase
+            .from('patient_charges')
+            .select('id, description, amount')
+            .eq('patient_id', patientId)
+            .is('invoice_id', null);
+        const normalizedItems = [...lines];
+        for (const charge of pendingCharges || []) {
+            const amount = roundCurrency(toAmount(charge.amount), currencySnapshot.currency);
+            normalizedItems.push({ service_name: charge.description, quantity: 1, unit_price: amount, list_price: amount });
+            totals.subtotal = roundCurrency(totals.subtotal + amount, currencySnapshot.currency);
+            totals.total_amount = roundCurrency(totals.total_amount + amount, currencySnapshot.currency);
+        }
 
         const insertPayload = {
             patient_id: patientId,
             appointment_id: appointmentId,
-            status: status || 'Unpaid',
+            status: 'Unpaid',
+            amount_paid: 0,
             diagnostic,
-            subtotal,
-            discount_type: dType,
-            discount_value: dValue,
-            discount_amount: dAmount,
-            total_amount
+            document_type: 'invoice',
+            // Drafts stay editable and only take stock when they are issued.
+            state: draft ? 'draft' : 'issued',
+            issued_at: draft ? null : new Date().toISOString(),
+            coverage_id: coverage ? coverage.id : null,
+            payer_id: coverage ? coverage.payer_id : null,
+            payer_amount: split.payerAmount,
+            payer_paid: 0,
+            ...currencySnapshot,
+            ...totals
         };
 
-        console.log(`[${BUILD_TAG}] Insert payload keys:`, Object.keys(insertPayload));
+        // A payment taken at the desk along with the invoice. The older form sends
+        // status 'Paid' instead, which is recorded as a cash payment of the full total.
+        let initialPayment = null;
+        let change = null;
+        if (draft && payment) {
+            return res.status(400).json({ success: false, message: 'Issue the invoice before taking payments.' });
+        }
+        if (!draft && (payment || status === 'Paid') && invoiceBalance(insertPayload) > 0) {
+            const { value, errors } = validateAgainstSchema(SCHEMAS.payment, payment || { method: 'cash' });
+            if (Object.keys(errors).length > 0) {
+                return res.status(400).json({ success: false, message: 'Validation failed.', errors: { payment: errors } });
+            }
+            const prepared = preparePayment({ ...insertPayload, amount_credited: 0 }, value, payment ? 'payment' : 'settle');
+            if (prepared.message) return res.status(prepared.status).json({ success: false, message: prepared.message });
+            initialPayment = prepared.entry;
+            change = prepared.change;
+        }
 
+        // 1. The invoice header
         const { data: newInvoice, error: invoiceError } = await supabase
             .from('invoices')
             .insert(insertPayload)
             .select()
             .single();
-
         if (invoiceError) {
             console.error('Error creating invoice record:', invoiceError);
+            await rollBack(undoSteps);
             return res.status(500).json({ success: false, message: 'Failed to create invoice.' });
         }
+        undoSteps.push(async () => { await supabase.from('invoices').delete().eq('id', newInvoice.id); });
 
-        console.log('Created invoice record with ID:', newInvoice.id);
+        // 2. Its line items
         if (normalizedItems.length > 0) {
-            const invoiceItems = normalizedItems.map(item => ({
-                invoice_id: newInvoice.id,
-                service_name: item.service_name,
-                quantity: item.quantity,
-                unit_price: item.unit_price
-            }));
-
-            const { error: itemsError } = await supabase.from('invoice_items').insert(invoiceItems);
+            const { error: itemsError } = await supabase
+                .from('invoice_items')
+                .insert(normalizedItems.map(item => ({ invoice_id: newInvoice.id, ...item })));
             if (itemsError) {
                 console.error('Error creating invoice items:', itemsError);
-                return res.status(500).json({ success: false, message: 'Invoice created, but failed to save items.' });
+                await rollBack(undoSteps);
+                return res.status(500).json({ success: false, message: 'Failed to create invoice.' });
             }
+            undoSteps.push(async () => { await supabase.from('invoice_items').delete().eq('invoice_id', newInvoice.id); });
         }
-        
-        if (inventoryUpdates && inventoryUpdates.length > 0) {
-            console.log('Updating stock for inventory items:', inventoryUpdates);
-            const stockUpdatePromises = inventoryUpdates.map(async (item) => {
-                const quantitySold = Math.max(0, Number(item.quantitySold) || 0);
-                if (!item.id || quantitySold <= 0) return { error: null };
-
-                const rpcResult = await supabase.rpc('decrease_stock', {
-                    product_id_in: item.id,
-                    quantity_sold: quantitySold
-                });
-
-                if (!rpcResult.error) return rpcResult;
-
-                console.warn(`decrease_stock RPC unavailable, using fallback update for product ${item.id}.`);
-                const { data: product, error: productError } = await supabase
-                    .from('products')
-                    .select('stock_level')
-                    .eq('id', item.id)
-                    .single();
 
-                if (productError) return { error: productError };
-
-                const currentStock = Number(product.stock_level) || 0;
-                const newStockLevel = Math.max(0, currentStock - quantitySold);
+        // 3. Take the sold products out of stock and open the sold packages
+        if (!draft) {
+            const stockProblem = await applyStockChanges(saleStockChanges(lines), undoSteps, { invoiceId: newInvoice.id, reason: 'sale' });
+            if (stockProblem) {
+                await rollBack(undoSteps);
+                return res.status(409).json({ success: false, message: stockProblem });
+            }
+            await grantPackages(newInvoice, lines, undoSteps);
+        }
 
-                const { error: updateError } = await supabase
-                    .from('products')
-                    .update({ stock_level: newStockLevel })
-                    .eq('id', item.id);
+        // 4. Claim the payer's portion
+        const claim = await openClaim(newInvoice, coverage, split, undoSteps);
+
+        // 5. Mark the queued charges as billed
+        if (pendingCharges && pendingCharges.length > 0) {
+            const { error: chargesError } = await supabase
+                .from('patient_charges')
+                .update({ invoice_id: newInvoice.id })
+                .in('id', pendingCharges.map(c => c.id));
+            if (chargesError) {
+                console.error('Error attaching pending charges to invoice:', chargesError);
+                await rollBack(undoSteps);
+                return res.status(500).json({ success: false, message: 'Failed to create invoice.' });
+            }
+            undoSteps.push(async () => { await supabase.from('patient_charges').update({ invoice_id: null }).eq('invoice_id', newInvoice.id); });
+        }
 
-                return { error: updateError || null };
+        // 6. The payment taken with it, if any
+        let createdInvoice = newInvoice;
+        if (initialPayment) {
+            const { error: paymentError } = await supabase.from('payments').insert({
+                invoice_id: newInvoice.id,
+                ...initialPayment,
+                received_by: req.staff.id,
+                received_at: new Date().toISOString()
             });
-            const results = await Promise.all(stockUpdatePromises);
-            const updateError = results.some(r => r.error);
-            if (updateError) {
-                console.error("One or more stock updates failed. This should be investigated.");
-            } else {
-                console.log("Stock levels updated successfully.");
+            if (paymentError) {
+                console.error('Error recording payment with new invoice:', paymentError);
+                await rollBack(undoSteps);
+                return res.status(500).json({ success: false, message: 'Failed to create invoice.' });
             }
+            undoSteps.push(async () => { await supabase.from('payments').delete().eq('invoice_id', newInvoice.id); });
+            createdInvoice = await refreshInvoicePaymentStatus(newInvoice.id);
+        } else if (!(newInvoice.total_amount > 0)) {
+            createdInvoice = await refreshInvoicePaymentStatus(newInvoice.id);
         }
 
-        res.status(201).json({ success: true, message: 'Invoice created successfully!', data: { invoiceId: newInvoice.id } });
+        await recordAudit(req, { action: 'create', entityType: 'invoice', entityId: newInvoice.id, after: { ...createdInvoice, items: normalizedItems } });
+        res.status(201).json({ success: true, message: 'Invoice created successfully!', data: { invoiceId: newInvoice.id, change, payerAmount: split.payerAmount, claimId: claim ? claim.id : null } });
     } catch (err) {
         console.error('Unhandled error creating invoice:', err);
+        await rollBack(undoSteps);
         res.status(500).json({ success: false, message: 'Failed to create invoice.' });
     }
 });
 
 // Get All Invoices Route
-app.get('/api/invoices', async (req, res) => {
+app.get('/api/invoices', authenticateStaff, requirePermission('invoices:read'), async (req, res) => {
     console.log('Received request to get invoices.');
     
     let query = supabase
         .from('invoices')
-        .select('id, created_at, total_amount, status, patients ( full_name )');
+        .select('id, created_at, total_amount, amount_paid, amount_credited, payer_amount, payer_paid, status, state, document_type, original_invoice_id, currency, exchange_rate, patients ( full_name ), payers ( name )');
 
     if (req.query.patient_id) {
         console.log(`Filtering invoices for patient_id: ${req.query.patient_id}`);
@@ -495,12 +1598,30 @@ app.get('/api/invoices', async (req, res) => {
 
     if (error) { console.error('Error fetching invoices:', error.message); return res.status(500).json({ success: false, message: 'Failed to fetch invoices.' }); }
     
-    const responseData = data.map(inv => ({ id: `#INV-${inv.id.toString().padStart(5, '0')}`, raw_id: inv.id, patientName: inv.patients ? inv.patients.full_name : 'Unknown Patient', date: new Date(inv.created_at).toISOString().split('T')[0], amount: inv.total_amount, status: inv.status }));
+    const timezone = await getClinicTimezone();
+    const responseData = data.map(inv => ({
+        id: invoiceNumber(inv),
+        raw_id: inv.id,
+        type: inv.document_type || 'invoice',
+        originalInvoiceId: inv.original_invoice_id || null,
+        patientName: inv.patients ? inv.patients.full_name : 'Unknown Patient',
+        date: clinicDateOf(inv.created_at, timezone),
+        amount: inv.total_amount,
+        currency: inv.currency || 'USD',
+        amounts: inBothCurrencies(inv.total_amount, inv),
+        amountPaid: inv.amount_paid || 0,
+        amountCredited: inv.amount_credited || 0,
+        balance: inv.document_type === 'credit_note' || inv.state === 'void' ? 0 : invoiceBalance(inv),
+        payerName: inv.payers ? inv.payers.name : null,
+        payerAmount: inv.payer_amount || 0,
+        payerBalance: inv.document_type === 'credit_note' || inv.state === 'void' ? 0 : payerBalance(inv),
+        status: invoiceDisplayStatus(inv)
+    }));
     res.status(200).json({ success: true, data: responseData });
 });
 
 // --- Get All Products Route (Corrected) ---
-app.get('/api/products', async (req, res) => {
+app.get('/api/products', authenticateStaff, requirePermission('products:read'), async (req, res) => {
     console.log('Received request to get all products.');
 
     const { data, error } = await supabase
@@ -519,7 +1640,7 @@ app.get('/api/products', async (req, res) => {
 });
 
 // --- Create New Product Route ---
-app.post('/api/products', async (req, res) => {
+app.post('/api/products', authenticateStaff, requirePermission('products:write'), validateBody('product'), async (req, res) => {
     console.log('Received request to create a new product.');
     // The keys in req.body now directly match the database columns
     const { name, sku, category, unit_price, stock_level, image_url } = req.body;
@@ -529,12 +1650,16 @@ app.post('/api/products', async (req, res) => {
         .insert([{ name, sku, category, unit_price, stock_level, image_url }]) // This is much cleaner now
         .select();
 
-    if (error) { /* ... error handling ... */ }
+    if (error) {
+        console.error('Error creating product:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to create product.' });
+    }
+    await recordAudit(req, { action: 'create', entityType: 'product', entityId: data[0].id, after: data[0] });
     res.status(201).json({ success: true, message: 'Product created!', data: data[0] });
 });
 
 // --- Get Single Product by ID Route ---
-app.get('/api/products/:id', async (req, res) => {
+app.get('/api/products/:id', authenticateStaff, requirePermission('products:read'), async (req, res) => {
     const { id } = req.params;
     console.log(`Received request to get single product with ID: ${id}`);
     
@@ -551,12 +1676,13 @@ app.get('/api/products/:id', async (req, res) => {
 });
 
 // --- Update Product Route ---
-app.patch('/api/products/:id', async (req, res) => {
+app.patch('/api/products/:id', authenticateStaff, requirePermission('products:write'), validateBody('product', { partial: true }), async (req, res) => {
     const { id } = req.params;
     console.log(`Received request to update product with ID: ${id}`);
     
     // The req.body will have keys matching the database columns
     // e.g., { name: "...", sku: "...", unit_price: "..." }
+    const before = await fetchForAudit('products', id);
     const { data, error } = await supabase
         .from('products')
         .update(req.body) // Pass the whole body object to update
@@ -568,317 +1694,3393 @@ app.patch('/api/products/:id', async (req, res) => {
         console.error('Error updating product:', error);
         return res.status(500).json({ success: false, message: 'Failed to update product.' });
     }
+    await recordAudit(req, { action: 'update', entityType: 'product', entityId: id, before, after: data });
     res.status(200).json({ success: true, message: 'Product updated successfully!', data });
 });
 
-// --- APPOINTMENTS API ---
-
-// GET All Appointments (Corrected for Calendar View)
-app.get('/api/appointments', async (req, res) => {
-    console.log('Received request to get appointments.');
-    
-    let query = supabase
-        .from('appointments')
-        .select(`id, start_time, end_time, title, status, patient_id, staff:staff!appointments_staff_id_fkey ( id, full_name )`);
-
-    // Check for patient_id filter from the query string
-    if (req.query.patient_id) {
-        console.log(`Filtering appointments for patient_id: ${req.query.patient_id}`);
-        query = query.eq('patient_id', req.query.patient_id);
-    }
-    
-    const { data, error } = await query.order('start_time', { ascending: false });
+// --- SERVICE CATALOG ---
+// Billable services in 'services' (id, code, name, default_price, duration_minutes,
+// category, is_active). Invoice lines reference these or products by ID. Services are
+// retired with is_active = false rather than deleted, so old invoices still resolve.
 
+// GET the catalog: ?include_inactive=true to list retired services too
+app.get('/api/services', authenticateStaff, requirePermission('services:read'), async (req, res) => {
+    let query = supabase.from('services').select('*');
+    if (req.query.include_inactive !== 'true') query = query.not('is_active', 'is', false);
+    const { data, error } = await query.order('name', { ascending: true });
     if (error) {
-        console.error('Error fetching appointments:', error.message);
-        return res.status(500).json({ success: false, message: 'Failed to fetch appointments.' });
+        console.error('Error fetching services:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to fetch services.' });
     }
-
-    const formattedEvents = data.map(app => ({
-      id: app.id,
-      title: app.title,
-      start: app.start_time,
-      end: app.end_time,
-      extendedProps: {
-          status: app.status,
-          therapist: app.staff ? app.staff.full_name : 'Unassigned',
-          therapist_id: app.staff ? app.staff.id : null,
-          patient_id: app.patient_id
-      }
-    }));
-  res.status(200).json({ success: true, data: formattedEvents });
+    res.status(200).json({ success: true, data });
 });
 
-// --- POST (Create) a New Appointment (Corrected) ---
-app.post('/api/appointments', async (req, res) => {
-    console.log('Received request to create appointment with data:', req.body);
-    const { title, start, end, therapist_id, patient_id, status } = req.body;
-
-    if (!patient_id) {
-        return res.status(400).json({ success: false, message: 'A patient must be selected for the appointment.' });
-    }
-
+// POST add a service to the catalog
+app.post('/api/services', authenticateStaff, requirePermission('services:write'), validateBody('service'), async (req, res) => {
     const { data, error } = await supabase
-        .from('appointments')
-        .insert([{
-          title: title,
-          // THE FIX: Append the timezone offset for Cambodia (GMT+7)
-          start_time: start ? `${start}+07:00` : null,
-          end_time: end ? `${end}+07:00` : null,
-          staff_id: therapist_id,
-          patient_id: patient_id,
-          status: status
-      }])
+        .from('services')
+        .insert({ is_active: true, ...req.body, code: req.body.code.toUpperCase() })
         .select()
         .single();
-    
-    if (error) { 
-        console.error("Error creating appointment:", error);
-        return res.status(500).json({ success: false, message: error.message });
+    if (error) {
+        console.error('Error creating service:', error.message);
+        const duplicate = error.code === '23505';
+        return res.status(duplicate ? 409 : 500).json({ success: false, message: duplicate ? `A service with code ${req.body.code.toUpperCase()} already exists.` : 'Failed to create service.' });
     }
-    res.status(201).json({ success: true, message: 'Appointment created!', data });
+    await recordAudit(req, { action: 'create', entityType: 'service', entityId: data.id, after: data });
+    res.status(201).json({ success: true, message: 'Service created!', data });
 });
 
-// --- PATCH (Update) an Existing Appointment (Corrected) ---
-app.patch('/api/appointments/:id', async (req, res) => {
+// PATCH update or retire a service
+app.patch('/api/services/:id', authenticateStaff, requirePermission('services:write'), validateBody('service', { partial: true }), async (req, res) => {
     const { id } = req.params;
-    console.log(`Received request to update appointment ${id}.`);
-    const { title, start, end, therapist_id, patient_id, status } = req.body;
+    const before = await fetchForAudit('services', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Service not found.' });
 
-    if (!patient_id) {
-        return res.status(400).json({ success: false, message: 'A patient must be selected for the appointment.' });
+    const changes = req.body.code ? { ...req.body, code: req.body.code.toUpperCase() } : req.body;
+    const { data, error } = await supabase.from('services').update(changes).eq('id', id).select().single();
+    if (error) {
+        console.error('Error updating service:', error.message);
+        const duplicate = error.code === '23505';
+        return res.status(duplicate ? 409 : 500).json({ success: false, message: duplicate ? 'Another service already uses that code.' : 'Failed to update service.' });
     }
+    await recordAudit(req, { action: 'update', entityType: 'service', entityId: id, before, after: data });
+    res.status(200).json({ success: true, message: 'Service updated successfully!', data });
+});
 
-    const { data, error } = await supabase
-        .from('appointments')
-        .update({
-          title: title,
-          // THE FIX: Append the timezone offset for Cambodia (GMT+7)
-          start_time: start ? `${start}+07:00` : null,
-          end_time: end ? `${end}+07:00` : null,
-          staff_id: therapist_id,
-          patient_id: patient_id,
-          status: status
-      })
-        .eq('id', id)
-        .select()
-        .single();
-
+// --- TREATMENT PACKAGES ---
+// Prepaid bundles such as "10 physio sessions" live in 'packages' (id, name, description,
+// sessions, price, validity_days, is_active) and are sold as invoice lines with a
+// package_id. Issuing the invoice opens one 'patient_packages' row per package sold
+// (patient_id, package_id, invoice_id, package_name, sessions_total, sessions_used,
+// purchased_on, expires_on, status 'active' | 'cancelled', cancelled_reason, cancelled_by,
+// cancelled_at). Completing an appointment takes one session from the package that expires
+// first, logged in 'package_sessions' (patient_package_id, appointment_id, used_on,
+// recorded_by), which is unique on appointment_id so an appointment never uses two.
+
+// GET the package catalog: ?include_inactive=true to list retired packages too
+app.get('/api/packages', authenticateStaff, requirePermission('packages:read'), async (req, res) => {
+    let query = supabase.from('packages').select('*');
+    if (req.query.include_inactive !== 'true') query = query.not('is_active', 'is', false);
+    const { data, error } = await query.order('name', { ascending: true });
     if (error) {
-        console.error("Error updating appointment:", error);
-        return res.status(500).json({ success: false, message: error.message });
-     }
-    res.status(200).json({ success: true, message: 'Appointment updated!', data });
+        console.error('Error fetching packages:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to fetch packages.' });
+    }
+    res.status(200).json({ success: true, data });
 });
 
-// 4. DELETE an Appointment
-app.delete('/api/appointments/:id', async (req, res) => {
-    const { id } = req.params;
-    console.log(`Received request to delete appointment ${id}.`);
-    
-    const { error } = await supabase
-        .from('appointments')
-        .delete()
-        .eq('id', id);
-
+// POST add a package to the catalog
+app.post('/api/packages', authenticateStaff, requirePermission('packages:write'), validateBody('package'), async (req, res) => {
+    const { data, error } = await supabase.from('packages').insert({ is_active: true, ...req.body }).select().single();
     if (error) {
-        console.error('Error deleting appointment:', error.message);
-        return res.status(500).json({ success: false, message: 'Failed to delete appointment.' });
+        console.error('Error creating package:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to create package.' });
     }
-    res.status(200).json({ success: true, message: 'Appointment deleted successfully.' });
+    await recordAudit(req, { action: 'create', entityType: 'package', entityId: data.id, after: data });
+    res.status(201).json({ success: true, message: 'Package created!', data });
 });
 
-// --- Get Single Invoice by ID (with items) ---
-app.get('/api/invoices/:id', async (req, res) => {
+// PATCH update or retire a package. Packages already sold keep the sessions and expiry
+// they were sold with.
+app.patch('/api/packages/:id', authenticateStaff, requirePermission('packages:write'), validateBody('package', { partial: true }), async (req, res) => {
     const { id } = req.params;
-    console.log(`Received request for single invoice with ID: ${id}`);
+    const before = await fetchForAudit('packages', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Package not found.' });
 
-    // First, get the main invoice details and the patient's name
-    const { data: invoice, error: invoiceError } = await supabase
-        .from('invoices')
-        .select(`*, patients (full_name, date_of_birth, gender)`)
-        .eq('id', id)
-        .single();
+    const { data, error } = await supabase.from('packages').update(req.body).eq('id', id).select().single();
+    if (error) {
+        console.error('Error updating package:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to update package.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'package', entityId: id, before, after: data });
+    res.status(200).json({ success: true, message: 'Package updated successfully!', data });
+});
 
-    if (invoiceError || !invoice) {
-        return res.status(404).json({ success: false, message: 'Invoice not found.' });
+// Opens the packages sold on an issued invoice and registers their removal.
+const grantPackages = async (invoice, lines, undoSteps) => {
+    const packageLines = lines.filter(line => line.package_id);
+    if (packageLines.length === 0 || !invoice.patient_id) return;
+
+    const { data: packages, error } = await supabase
+        .from('packages')
+        .select('id, name, sessions, validity_days')
+        .in('id', [...new Set(packageLines.map(line => line.package_id))]);
+    if (error) throw error;
+
+    const purchasedOn = clinicDateOf(Date.now(), await getClinicTimezone());
+    const rows = [];
+    for (const line of packageLines) {
+        const pkg = packages.find(p => String(p.id) === String(line.package_id));
+        if (!pkg) throw new Error(`Package ${line.package_id} was not found.`);
+        for (let i = 0; i < line.quantity; i++) {
+            rows.push({
+                patient_id: invoice.patient_id,
+                package_id: pkg.id,
+                invoice_id: invoice.id,
+                package_name: pkg.name,
+                sessions_total: pkg.sessions,
+                sessions_used: 0,
+                purchased_on: purchasedOn,
+                expires_on: addDaysToDate(purchasedOn, pkg.validity_days),
+                status: 'active'
+            });
+        }
     }
+    const { error: insertError } = await supabase.from('patient_packages').insert(rows);
+    if (insertError) throw insertError;
+    undoSteps.push(async () => { await supabase.from('patient_packages').delete().eq('invoice_id', invoice.id); });
+};
 
-    // Next, get all the line items for that invoice
-    const { data: items, error: itemsError } = await supabase
-        .from('invoice_items')
-        .select('*')
-        .eq('invoice_id', id);
+// 'active', 'used', 'expired' or 'cancelled', as of the clinic date `today`
+const patientPackageStatus = (pkg, today) => {
+    if (pkg.status === 'cancelled') return 'cancelled';
+    if (pkg.sessions_used >= pkg.sessions_total) return 'used';
+    if (pkg.expires_on < today) return 'expired';
+    return 'active';
+};
 
-    if (itemsError) {
-        return res.status(500).json({ success: false, message: 'Failed to fetch invoice items.' });
+// Takes one session for a completed appointment from the patient's package that expires
+// first and is still valid on the appointment's date. Returns the package used, or null.
+const consumePackageSession = async (req, appointment) => {
+    const timezone = await getClinicTimezone();
+    const sessionDate = clinicDateOf(appointment.start_time || Date.now(), timezone);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const { data: candidates, error } = await supabase
+            .from('patient_packages')
+            .select('id, package_name, sessions_total, sessions_used')
+            .eq('patient_id', appointment.patient_id)
+            .eq('status', 'active')
+            .gte('expires_on', sessionDate)
+            .order('expires_on', { ascending: true })
+            .order('id', { ascending: true });
+        if (error) throw error;
+        const pkg = candidates.find(p => p.sessions_used < p.sessions_total);
+        if (!pkg) return null;
+
+        // Only lands if no one else took a session from it in the meantime.
+        const { data: taken } = await supabase
+            .from('patient_packages')
+            .update({ sessions_used: pkg.sessions_used + 1 })
+            .eq('id', pkg.id)
+            .eq('sessions_used', pkg.sessions_used)
+            .eq('status', 'active')
+            .select('id');
+        if (!taken || taken.length === 0) continue;
+
+        const { error: usageError } = await supabase.from('package_sessions').insert({
+            patient_package_id: pkg.id,
+            appointment_id: appointment.id,
+            used_on: sessionDate,
+            recorded_by: req.staff ? req.staff.id : null
+        });
+        if (usageError) {
+            // Already counted for this appointment (or not recorded): give the session back.
+            await supabase.from('patient_packages').update({ sessions_used: pkg.sessions_used }).eq('id', pkg.id).eq('sessions_used', pkg.sessions_used + 1);
+            if (usageError.code !== '23505') throw usageError;
+            return null;
+        }
+        return pkg;
     }
+    throw new Error(`Could not take a package session for appointment ${appointment.id}.`);
+};
 
-    // Combine everything into one object to send to the frontend
-    const responseData = {
-        ...invoice,
-        items: items
-    };
+// A patient's packages, newest first, with remaining sessions and where each one went.
+const loadPatientPackages = async (patientId) => {
+    const { data, error } = await supabase
+        .from('patient_packages')
+        .select('*, package_sessions(id, appointment_id, used_on, appointments(title, start_time))')
+        .eq('patient_id', patientId)
+        .order('purchased_on', { ascending: false })
+        .order('id', { ascending: false });
+    if (error) throw error;
+    const today = clinicDateOf(Date.now(), await getClinicTimezone());
+    return data.map(({ package_sessions: usage, ...pkg }) => ({
+        ...pkg,
+        sessions_remaining: Math.max(0, pkg.sessions_total - pkg.sessions_used),
+        status: patientPackageStatus(pkg, today),
+        usage: (usage || [])
+            .map(u => ({ id: u.id, appointment_id: u.appointment_id, used_on: u.used_on, appointment: u.appointments || null }))
+            .sort((a, b) => String(b.used_on).localeCompare(String(a.used_on)))
+    }));
+};
 
-    res.status(200).json({ success: true, data: responseData });
+// GET a patient's packages with their usage history
+app.get('/api/patients/:id/packages', authenticateStaff, requirePermission('patients:read'), async (req, res) => {
+    try {
+        res.status(200).json({ success: true, data: await loadPatientPackages(req.params.id) });
+    } catch (error) {
+        console.error('Error fetching patient packages:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to fetch packages.' });
+    }
 });
 
-// In server.js
-
-// --- Update Invoice Status (Mark as Paid) ---
-app.patch('/api/invoices/:id/pay', async (req, res) => {
+// POST close a patient's package so no more sessions are taken from it: { reason }.
+// When the money is refunded too, use a credit note with cancelPackages instead, which
+// closes the package and credits the invoice together.
+app.post('/api/patient-packages/:id/cancel', authenticateStaff, requirePermission('packages:write'), async (req, res) => {
     const { id } = req.params;
-    console.log(`Received request to mark invoice ${id} as paid.`);
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ success: false, message: 'Validation failed.', errors: { reason: 'is required' } });
+
+    const before = await fetchForAudit('patient_packages', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Package not found.' });
+    if (before.status === 'cancelled') return res.status(409).json({ success: false, message: 'This package is already cancelled.' });
 
     const { data, error } = await supabase
-        .from('invoices')
-        .update({ status: 'Paid' })
+        .from('patient_packages')
+        .update({ status: 'cancelled', cancelled_reason: reason, cancelled_by: req.staff.id, cancelled_at: new Date().toISOString() })
         .eq('id', id)
+        .eq('status', 'active')
         .select()
-        .single();
-    
+        .maybeSingle();
     if (error) {
-        console.error('Error updating invoice status:', error);
-        return res.status(500).json({ success: false, message: 'Failed to update invoice status.' });
+        console.error('Error cancelling package:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to cancel package.' });
     }
-
-    res.status(200).json({ success: true, message: 'Invoice marked as paid!', data });
+    if (!data) return res.status(409).json({ success: false, message: 'This package was changed by someone else. Please reload.' });
+    await recordAudit(req, { action: 'update', entityType: 'patient_package', entityId: id, before, after: data });
+    res.status(200).json({ success: true, message: `${data.package_name} cancelled with ${Math.max(0, data.sessions_total - data.sessions_used)} sessions unused.`, data });
 });
 
-// --- Update (Edit) Invoice Route ---
-app.patch('/api/invoices/:id', async (req, res) => {
-    const { id } = req.params;
-    console.log(`[${BUILD_TAG}] Received request to update invoice ${id}.`);
-    
-    const {
-        patientId,
-        status,
-        items = [],
-        diagnostic,
-        discount_type,
-        discount_value,
-        total_amount: totalAmountFromBody,
-        subtotal: subtotalFromBody
-    } = req.body;
-
-    // In a real application, you'd wrap these steps in a "transaction"
-    // to ensure that if one step fails, they all get rolled back.
-
-    // 1. Delete all existing items for this invoice to prevent duplicates
-    const { error: deleteError } = await supabase
-        .from('invoice_items')
-        .delete()
-        .eq('invoice_id', id);
+// --- APPOINTMENTS API ---
 
-    if (deleteError) {
-        console.error('Error deleting old invoice items:', deleteError);
-        return res.status(500).json({ success: false, message: 'Could not update invoice items.' });
+// Calendar colour for each appointment status
+const APPOINTMENT_STATUS_COLORS = {
+    Requested: '#f59e0b',
+    Scheduled: '#3b82f6',
+    'Checked-in': '#8b5cf6',
+    Completed: '#10b981',
+    Cancelled: '#9ca3af',
+    'No-show': '#ef4444'
+};
+const DEFAULT_STATUS_COLOR = '#3b82f6';
+
+// --- Appointment Status Lifecycle ---
+// Requested → Scheduled → Checked-in → Completed, with Cancelled and No-show as the other
+// ways out. Every change is logged in 'appointment_status_history' (appointment_id,
+// from_status, to_status, reason, changed_by_staff_id, changed_by_email, changed_at).
+// Patients carry no_show_count and late_cancel_count, where a late cancel falls inside
+// settings.cancellation_window_hours. When settings.no_show_fee is set, a no-show queues a
+// 'patient_charges' row (patient_id, appointment_id, description, amount, invoice_id) that
+// is added to the patient's next invoice.
+
+const APPOINTMENT_TRANSITIONS = {
+    Requested: ['Scheduled', 'Cancelled'],
+    // Back to Requested when a patient reschedules from the portal
+    Scheduled: ['Requested', 'Checked-in', 'Cancelled', 'No-show'],
+    'Checked-in': ['Completed', 'Cancelled'],
+    Completed: [],
+    Cancelled: [],
+    'No-show': []
+};
+const INITIAL_APPOINTMENT_STATUSES = ['Requested', 'Scheduled'];
+
+// Why `from` → `to` isn't allowed, or null when it is. `from` is null for a new appointment.
+const appointmentTransitionError = (from, to) => {
+    if (!APPOINTMENT_TRANSITIONS[to]) return `status must be one of: ${Object.keys(APPOINTMENT_TRANSITIONS).join(', ')}`;
+    if (from === to) return null;
+    if (from == null) {
+        return INITIAL_APPOINTMENT_STATUSES.includes(to) ? null : `New appointments must be ${INITIAL_APPOINTMENT_STATUSES.join(' or ')}.`;
     }
+    // Rows from before the lifecycle existed may hold free-text statuses; let them move anywhere.
+    if (!APPOINTMENT_TRANSITIONS[from]) return null;
+    if (!APPOINTMENT_TRANSITIONS[from].includes(to)) return `A ${from.toLowerCase()} appointment can't be changed to ${to.toLowerCase()}.`;
+    return null;
+};
 
-    // 2. Recalculate the total amount from the new items
-    const toNumber = (val) => {
-        const n = parseFloat(val);
-        return Number.isFinite(n) ? n : 0;
-    };
-
-    const normalizedItems = items.map((item, idx) => {
-        const qty = toNumber(item.quantity ?? 1);
-        const unit = toNumber(item.unit_price ?? item.price ?? 0);
-        const serviceName = item.service_name || item.service || `Item ${idx + 1}`;
-        return { service_name: serviceName, quantity: qty, unit_price: unit };
-    }).filter(i => i.service_name && i.quantity > 0);
+// Adds one to a patient counter. The update only lands if the count is still what was
+// read, so two status changes at once can't both write the same new value.
+const incrementPatientCounter = async (patientId, column) => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const { data: patient } = await supabase.from('patients').select(`id, ${column}`).eq('id', patientId).maybeSingle();
+        if (!patient) return;
+        let update = supabase.from('patients').update({ [column]: (patient[column] || 0) + 1 }).eq('id', patientId);
+        update = patient[column] == null ? update.is(column, null) : update.eq(column, patient[column]);
+        const { data: counted } = await update.select('id');
+        if (counted && counted.length > 0) return;
+    }
+    console.error(`Could not update ${column} for patient ${patientId}: it kept changing underneath.`);
+};
 
-    const subtotalFromItems = normalizedItems.reduce((sum, it) => sum + (it.quantity * it.unit_price), 0);
-    const subtotal = subtotalFromItems > 0 ? subtotalFromItems : toNumber(subtotalFromBody);
-    const dType = discount_type || 'none';
-    const dValue = toNumber(discount_value);
-    let dAmount = 0;
-    if (dType === 'percent') dAmount = subtotal * (dValue / 100);
-    else if (dType === 'flat') dAmount = dValue;
-    if (dAmount > subtotal) dAmount = subtotal;
-    const totalFromBody = toNumber(totalAmountFromBody);
-    const computedTotal = Math.max(0, subtotal - dAmount);
-    const total_amount = totalFromBody > 0 ? totalFromBody : computedTotal;
+const applyNoShowFee = async (appointment) => {
+    const { data: settings } = await supabase.from('settings').select('no_show_fee').eq('id', 1).maybeSingle();
+    const fee = settings ? Number(settings.no_show_fee) : 0;
+    if (!(fee > 0)) return;
+    const timezone = await getClinicTimezone();
+    const { error } = await supabase.from('patient_charges').insert({
+        patient_id: appointment.patient_id,
+        appointment_id: appointment.id,
+        description: `No-show fee (${clinicDateOf(appointment.start_time, timezone)})`,
+        amount: fee
+    });
+    if (error) console.error(`Failed to queue no-show fee for appointment ${appointment.id}:`, error.message);
+};
 
-    // 3. Update the main invoice record
-    const updatePayload = {
-        patient_id: patientId,
-        total_amount,
-        subtotal,
-        discount_type: dType,
-        discount_value: dValue,
-        discount_amount: dAmount,
-        status: status,
-        diagnostic: diagnostic
-    };
+// Logs a status change with its actor and applies the no-show / late-cancel policies.
+const recordStatusChange = async (req, before, after, reason = null) => {
+    const from = before ? before.status : null;
+    if (from === after.status) return;
+
+    const { error } = await supabase.from('appointment_status_history').insert({
+        appointment_id: after.id,
+        from_status: from,
+        to_status: after.status,
+        reason,
+        changed_by_staff_id: req.staff ? req.staff.id : null,
+        changed_by_email: req.user ? req.user.email : null
+    });
+    if (error) console.error(`Failed to record status history for appointment ${after.id}:`, error.message);
+    if (!after.patient_id) return;
+
+    if (after.status === 'Completed') {
+        try {
+            await consumePackageSession(req, after);
+        } catch (packageError) {
+            console.error(`Failed to take a package session for appointment ${after.id}:`, packageError.message);
+        }
+    } else if (after.status === 'No-show') {
+        await incrementPatientCounter(after.patient_id, 'no_show_count');
+        await applyNoShowFee(after);
+    } else if (after.status === 'Cancelled' && from && from !== 'Requested') {
+        const { cancellationWindowHours } = await getBookingPolicy();
+        const hoursUntil = (new Date(before.start_time) - Date.now()) / (60 * 60 * 1000);
+        if (hoursUntil < cancellationWindowHours) await incrementPatientCounter(after.patient_id, 'late_cancel_count');
+    }
+};
 
-    console.log(`[${BUILD_TAG}] Update payload keys:`, Object.keys(updatePayload));
+// Calendar window bounds: a date (local midnight in the clinic timezone) or a date-time.
+const parseWindowBound = (value, timezone) => {
+    if (!value) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return fromClinicLocal(value, 0, timezone).toISOString();
+    const parsed = parseClinicDateTime(value, timezone);
+    return Number.isNaN(new Date(parsed).getTime()) ? undefined : parsed;
+};
 
-    const { error: invoiceUpdateError } = await supabase
-        .from('invoices')
-        .update(updatePayload)
-        .eq('id', id);
+// GET All Appointments (Corrected for Calendar View)
+// Filters: ?start=&end= (the calendar's visible range), therapist_id, patient_id, status (comma-separated)
+app.get('/api/appointments', authenticateStaff, requirePermission('appointments:read'), async (req, res) => {
+    console.log('Received request to get appointments.');
+    const { therapist_id, patient_id, status } = req.query;
 
-    if (invoiceUpdateError) {
-        console.error('Error updating main invoice record:', invoiceUpdateError);
-        return res.status(500).json({ success: false, message: 'Could not update invoice.' });
+    const timezone = await getClinicTimezone();
+    const windowStart = parseWindowBound(req.query.start, timezone);
+    const windowEnd = parseWindowBound(req.query.end, timezone);
+    if (windowStart === undefined || windowEnd === undefined) {
+        return res.status(400).json({ success: false, message: 'start and end must be valid dates or date-times.' });
     }
-
-    // 4. Prepare and insert the new invoice items
-    const newInvoiceItems = normalizedItems.map(item => ({
-        invoice_id: id,
-        service_name: item.service_name,
-        quantity: item.quantity,
-        unit_price: item.unit_price
-    }));
     
-    const { error: itemsInsertError } = await supabase
-        .from('invoice_items')
-        .insert(newInvoiceItems);
+    let query = supabase
+        .from('appointments')
+        .select(`id, start_time, end_time, title, status, patient_id, series_id, patients ( full_name ), staff:staff!appointments_staff_id_fkey ( id, full_name )`);
+
+    // Anything overlapping the window is shown, including appointments that started before it.
+    if (windowStart) query = query.gt('end_time', windowStart);
+    if (windowEnd) query = query.lt('start_time', windowEnd);
+    if (patient_id) query = query.eq('patient_id', patient_id);
+    if (therapist_id) query = query.eq('staff_id', therapist_id);
+    if (status) query = query.in('status', String(status).split(',').map(s => s.trim()).filter(Boolean));
+    
+    const { data, error } = await query.order('start_time', { ascending: false });
 
-    if (itemsInsertError) {
-        console.error('Error inserting new invoice items:', itemsInsertError);
-        return res.status(500).json({ success: false, message: 'Could not save new invoice items.' });
+    if (error) {
+        console.error('Error fetching appointments:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to fetch appointments.' });
     }
 
-    res.status(200).json({ success: true, message: 'Invoice updated successfully!' });
+    const formattedEvents = data.map(app => ({
+      id: app.id,
+      title: app.title,
+      start: app.start_time,
+      end: app.end_time,
+      extendedProps: {
+          status: app.status,
+          therapist: app.staff ? app.staff.full_name : 'Unassigned',
+          therapist_id: app.staff ? app.staff.id : null,
+          patient_id: app.patient_id,
+          patientName: app.patients ? app.patients.full_name : 'Unknown Patient',
+          statusColor: APPOINTMENT_STATUS_COLORS[app.status] || DEFAULT_STATUS_COLOR,
+          series_id: app.series_id || null
+      }
+    }));
+  res.status(200).json({ success: true, data: formattedEvents });
 });
 
-// --- Delete Invoice Route ---
-app.delete('/api/invoices/:id', async (req, res) => {
-    const { id } = req.params;
-    console.log(`Received request to delete invoice ${id}.`);
+// --- Appointment Conflict Checks ---
 
-    // In a real app with strict accounting, you might "void" an invoice
-    // instead of deleting it. But for our system, deleting is fine.
+// Returns a 400 message if the time range is unusable, otherwise null.
+const validateAppointmentTimes = (startTime, endTime) => {
+    if (!startTime || !endTime) return 'Both start and end times are required.';
+    const startMs = new Date(startTime).getTime();
+    const endMs = new Date(endTime).getTime();
+    if (Number.isNaN(startMs) || Number.isNaN(endMs)) return 'Start and end must be valid date-times.';
+    if (endMs <= startMs) return 'The appointment must end after it starts.';
+    return null;
+};
 
-    // First, delete the related items in the 'invoice_items' table
+// Pending waitlist offers for these therapists that overlap [startTime, endTime). The
+// slot is held until the offer runs out, for everyone except the patient it was offered to.
+const findHeldSlots = async ({ startTime, endTime, staffIds, patientId }) => {
+    const { data, error } = await supabase
+        .from('waitlist_offers')
+        .select('id, staff_id, patient_id, start_time, end_time')
+        .in('staff_id', staffIds)
+        .eq('status', 'pending')
+        .gt('expires_at', new Date().toISOString())
+        .lt('start_time', new Date(endTime).toISOString())
+        .gt('end_time', new Date(startTime).toISOString());
+    if (error) throw error;
+    return data.filter(offer => !patientId || String(offer.patient_id) !== String(patientId));
+};
+
+// Finds non-cancelled appointments that overlap [startTime, endTime) for the same
+// therapist or the same patient, and the therapist's time held for a waitlist offer.
+// Touching ranges (one ends as the next starts) don't clash.
+const findAppointmentConflicts = async ({ startTime, endTime, therapistId, patientId }) => {
+    const people = [];
+    if (therapistId) people.push(`staff_id.eq.${Number(therapistId)}`);
+    if (patientId) people.push(`patient_id.eq.${Number(patientId)}`);
+    if (people.length === 0) return [];
+
+    let query = supabase
+        .from('appointments')
+        .select('id, title, start_time, end_time, status, staff_id, patient_id')
+        .lt('start_time', new Date(endTime).toISOString())
+        .gt('end_time', new Date(startTime).toISOString())
+        .or('status.is.null,status.neq.Cancelled')
+        .or(people.join(','));
+
+    const { data, error } = await query.order('start_time', { ascending: true });
+    if (error) throw error;
+    const held = therapistId ? await findHeldSlots({ startTime, endTime, staffIds: [therapistId], patientId }) : [];
+
+    return data.map(a => ({
+        id: a.id,
+        title: a.title,
+        start: a.start_time,
+        end: a.end_time,
+        status: a.status,
+        therapist_id: a.staff_id,
+        patient_id: a.patient_id,
+        conflictsWith: [
+            therapistId && String(a.staff_id) === String(therapistId) ? 'therapist' : null,
+            patientId && String(a.patient_id) === String(patientId) ? 'patient' : null
+        ].filter(Boolean)
+    })).concat(held.map(offer => ({
+        id: null,
+        waitlist_offer_id: offer.id,
+        title: 'Held for a waitlisted patient',
+        start: offer.start_time,
+        end: offer.end_time,
+        status: 'Held',
+        therapist_id: offer.staff_id,
+        patient_id: offer.patient_id,
+        conflictsWith: ['therapist']
+    })));
+};
+
+// Runs the conflict check for one or more appointments about to be written and answers
+// the request itself when it must stop (403/409). Appointments listed in ignoreIds (the
+// ones being moved) never count as clashes. Returns true when the caller may go ahead.
+const checkAppointmentConflicts = async (req, res, appointments, ignoreIds = []) => {
+    const toCheck = appointments.filter(a => a.status !== 'Cancelled');
+    if (toCheck.length === 0) return true;
+
+    const override = req.body.override_conflicts === true || req.body.override_conflicts === 'true';
+    if (override && !hasPermission(req.staff.role, 'appointments:override')) {
+        res.status(403).json({ success: false, message: 'Only admins can override scheduling conflicts.' });
+        return false;
+    }
+
+    const timezone = await getClinicTimezone();
+    const ignored = new Set(ignoreIds.map(String));
+    const conflicts = [];
+    const unavailable = [];
+    for (const appointment of toCheck) {
+        const clashes = await findAppointmentConflicts(appointment);
+        for (const clash of clashes) {
+            if (!ignored.has(String(clash.id))) conflicts.push({ ...clash, requestedStart: appointment.startTime });
+        }
+        if (appointment.therapistId) {
+            const reason = await findAvailabilityProblem(appointment.therapistId, appointment.startTime, appointment.endTime, timezone);
+            if (reason) unavailable.push({ requestedStart: appointment.startTime, reason });
+        }
+    }
+    if (conflicts.length === 0 && unavailable.length === 0) return true;
+    if (override) {
+        console.warn(`Appointment conflict overridden by staff ${req.staff.id}:`, conflicts.map(c => c.id), unavailable);
+        return true;
+    }
+    const message = conflicts.length > 0
+        ? 'This time clashes with existing appointments.'
+        : `The therapist is not available: ${unavailable[0].reason}`;
+    res.status(409).json({ success: false, message, conflicts, unavailable });
+    return false;
+};
+
+// --- Therapist Availability ---
+// Weekly hours live in 'staff_working_hours' (id, staff_id, weekday 0-6, start_time,
+// end_time, break_start, break_end as 'HH:mm'), one row per working weekday.
+// Leave lives in 'staff_leave' (id, staff_id, start_date, end_date, reason), inclusive dates.
+// Clinic-wide closures are settings.closures: [{ start_date, end_date, reason }].
+
+const MAX_SLOT_SEARCH_DAYS = 31;
+const CLOCK = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const clockToMinutes = (clock) => {
+    const match = CLOCK.exec(String(clock || '').slice(0, 5));
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const dateInRanges = (date, ranges) =>
+    ranges.find(r => r.start_date <= date && date <= (r.end_date || r.start_date)) || null;
+
+const loadSchedulingContext = async (staffIds, fromDate, toDate) => {
+    const [hoursRes, leaveRes, settingsRes] = await Promise.all([
+        supabase.from('staff_working_hours').select('*').in('staff_id', staffIds),
+        supabase.from('staff_leave').select('*').in('staff_id', staffIds).lte('start_date', toDate).gte('end_date', fromDate),
+        supabase.from('settings').select('closures').eq('id', 1).single()
+    ]);
+    if (hoursRes.error) throw hoursRes.error;
+    if (leaveRes.error) throw leaveRes.error;
+
+    const hoursByStaff = new Map();
+    for (const row of hoursRes.data) {
+        const key = String(row.staff_id);
+        if (!hoursByStaff.has(key)) hoursByStaff.set(key, new Map());
+        hoursByStaff.get(key).set(Number(row.weekday), row);
+    }
+    const leaveByStaff = new Map();
+    for (const row of leaveRes.data) {
+        const key = String(row.staff_id);
+        if (!leaveByStaff.has(key)) leaveByStaff.set(key, []);
+        leaveByStaff.get(key).push(row);
+    }
+    const closures = (settingsRes.data && Array.isArray(settingsRes.data.closures)) ? settingsRes.data.closures : [];
+    return { hoursByStaff, leaveByStaff, closures };
+};
+
+// Returns why the therapist can't be booked for [startTime, endTime), or null if they can.
+// Therapists with no working hours on file are not restricted.
+const findAvailabilityProblem = async (therapistId, startTime, endTime, timezone) => {
+    const start = toClinicLocal(startTime, timezone);
+    const end = toClinicLocal(endTime, timezone);
+    const { hoursByStaff, leaveByStaff, closures } = await loadSchedulingContext([therapistId], start.date, end.date);
+
+    const closure = dateInRanges(start.date, closures) || dateInRanges(end.date, closures);
+    if (closure) return `The clinic is closed on ${closure.start_date}${closure.reason ? ` (${closure.reason})` : ''}.`;
+
+    const weekHours = hoursByStaff.get(String(therapistId));
+    if (!weekHours) return null;
+    if (dateInRanges(start.date, leaveByStaff.get(String(therapistId)) || [])) return 'The therapist is on leave that day.';
+
+    const hours = weekHours.get(start.weekday);
+    if (!hours || start.date !== end.date) return 'The therapist does not work at that time.';
+    if (start.minutes < clockToMinutes(hours.start_time) || end.minutes > clockToMinutes(hours.end_time)) {
+        return `The therapist works ${hours.start_time.slice(0, 5)}-${hours.end_time.slice(0, 5)} that day.`;
+    }
+    const breakStart = clockToMinutes(hours.break_start);
+    const breakEnd = clockToMinutes(hours.break_end);
+    if (breakStart != null && breakEnd != null && start.minutes < breakEnd && end.minutes > breakStart) {
+        return 'The appointment overlaps the therapist\'s break.';
+    }
+    return null;
+};
+
+// Bookable slots of `duration` minutes for each therapist between two local dates.
+// Time held for a waitlist offer only shows as free to `patientId`, the patient it was offered to.
+const findFreeSlots = async ({ therapists, fromDate, toDate, duration, step, timezone, patientId = null }) => {
+    const staffIds = therapists.map(t => t.id);
+    const { hoursByStaff, leaveByStaff, closures } = await loadSchedulingContext(staffIds, fromDate, toDate);
+
+    const windowStart = fromClinicLocal(fromDate, 0, timezone).toISOString();
+    const windowEnd = fromClinicLocal(addDaysToDate(toDate, 1), 0, timezone).toISOString();
+    const { data: appointments, error } = await supabase
+        .from('appointments')
+        .select('staff_id, start_time, end_time, status')
+        .in('staff_id', staffIds)
+        .lt('start_time', windowEnd)
+        .gt('end_time', windowStart)
+        .or('status.is.null,status.neq.Cancelled');
+    if (error) throw error;
+    const held = await findHeldSlots({ startTime: windowStart, endTime: windowEnd, staffIds, patientId });
+    const booked = [...appointments, ...held];
+
+    const now = Date.now();
+    const slots = [];
+    for (const therapist of therapists) {
+        const weekHours = hoursByStaff.get(String(therapist.id));
+        if (!weekHours) continue;
+        const leave = leaveByStaff.get(String(therapist.id)) || [];
+        const busy = booked
+            .filter(b => String(b.staff_id) === String(therapist.id))
+            .map(b => [new Date(b.start_time).getTime(), new Date(b.end_time).getTime()]);
+
+        for (let date = fromDate; date <= toDate; date = addDaysToDate(date, 1)) {
+            if (dateInRanges(date, closures) || dateInRanges(date, leave)) continue;
+            const hours = weekHours.get(new Date(`${date}T00:00:00Z`).getUTCDay());
+            if (!hours) continue;
+
+            const dayStart = clockToMinutes(hours.start_time);
+            const dayEnd = clockToMinutes(hours.end_time);
+            const breakStart = clockToMinutes(hours.break_start);
+            const breakEnd = clockToMinutes(hours.break_end);
+            for (let minute = dayStart; minute + duration <= dayEnd; minute += step) {
+                if (breakStart != null && breakEnd != null && minute < breakEnd && minute + duration > breakStart) continue;
+                const slotStart = fromClinicLocal(date, minute, timezone).getTime();
+                const slotEnd = slotStart + duration * 60 * 1000;
+                if (slotStart < now) continue;
+                if (busy.some(([s, e]) => s < slotEnd && e > slotStart)) continue;
+                slots.push({
+                    therapist_id: therapist.id,
+                    therapist: therapist.full_name,
+                    start: new Date(slotStart).toISOString(),
+                    end: new Date(slotEnd).toISOString()
+                });
+            }
+        }
+    }
+    return slots.sort((a, b) => a.start.localeCompare(b.start));
+};
+
+// GET free slots: ?from=YYYY-MM-DD&to=YYYY-MM-DD&duration=60[&therapist_id=3][&step=30]
+app.get('/api/availability/slots', authenticateStaff, requirePermission('appointments:read'), async (req, res) => {
+    const { from, to, therapist_id } = req.query;
+    const duration = Number(req.query.duration) || 60;
+    const step = Number(req.query.step) || 30;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '') || to < from) {
+        return res.status(400).json({ success: false, message: 'from and to must be dates (YYYY-MM-DD), with to on or after from.' });
+    }
+    if (daysBetween(from, to) >= MAX_SLOT_SEARCH_DAYS) {
+        return res.status(400).json({ success: false, message: `Search at most ${MAX_SLOT_SEARCH_DAYS} days at a time.` });
+    }
+    if (duration < 5 || duration > 480 || step < 5) {
+        return res.status(400).json({ success: false, message: 'duration must be 5-480 minutes and step at least 5 minutes.' });
+    }
+
+    try {
+        let query = supabase.from('staff').select('id, full_name, role').not('is_active', 'is', false);
+        if (therapist_id) query = query.eq('id', therapist_id);
+        const { data: staffRows, error } = await query;
+        if (error) throw error;
+        const therapists = therapist_id ? staffRows : staffRows.filter(s => normalizeRole(s.role) === 'therapist');
+
+        const slots = await findFreeSlots({ therapists, fromDate: from, toDate: to, duration, step, timezone: await getClinicTimezone() });
+        res.status(200).json({ success: true, data: slots });
+    } catch (error) {
+        console.error('Error searching free slots:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to search free slots.' });
+    }
+});
+
+// GET a therapist's weekly working hours
+app.get('/api/staff/:id/working-hours', authenticateStaff, requirePermission('staff:read'), async (req, res) => {
+    const { data, error } = await supabase
+        .from('staff_working_hours')
+        .select('weekday, start_time, end_time, break_start, break_end')
+        .eq('staff_id', req.params.id)
+        .order('weekday', { ascending: true });
+    if (error) return res.status(500).json({ success: false, message: error.message });
+    res.status(200).json({ success: true, data });
+});
+
+// PUT (replace) a therapist's weekly working hours: { hours: [{ weekday, start_time, end_time, break_start, break_end }] }
+app.put('/api/staff/:id/working-hours', authenticateStaff, requirePermission('schedule:write'), async (req, res) => {
+    const { id } = req.params;
+    const hours = Array.isArray(req.body.hours) ? req.body.hours : null;
+    if (!hours) return res.status(400).json({ success: false, message: 'hours must be a list.' });
+
+    const errors = {};
+    const seen = new Set();
+    const rows = hours.map((h, index) => {
+        const weekday = Number(h.weekday);
+        const start = clockToMinutes(h.start_time);
+        const end = clockToMinutes(h.end_time);
+        const hasBreak = h.break_start || h.break_end;
+        const breakStart = clockToMinutes(h.break_start);
+        const breakEnd = clockToMinutes(h.break_end);
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) errors[`hours[${index}].weekday`] = 'must be 0 (Sunday) to 6 (Saturday)';
+        else if (seen.has(weekday)) errors[`hours[${index}].weekday`] = 'is listed more than once';
+        seen.add(weekday);
+        if (start == null || end == null || end <= start) errors[`hours[${index}]`] = 'start_time and end_time must be HH:mm with end after start';
+        else if (hasBreak && (breakStart == null || breakEnd == null || breakEnd <= breakStart || breakStart < start || breakEnd > end)) {
+            errors[`hours[${index}].break`] = 'break must be HH:mm inside working hours';
+        }
+        return {
+            staff_id: id,
+            weekday,
+            start_time: h.start_time,
+            end_time: h.end_time,
+            break_start: hasBreak ? h.break_start : null,
+            break_end: hasBreak ? h.break_end : null
+        };
+    });
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+    }
+
+    const { data: before } = await supabase.from('staff_working_hours').select('*').eq('staff_id', id);
+    const { error: deleteError } = await supabase.from('staff_working_hours').delete().eq('staff_id', id);
+    if (deleteError) return res.status(500).json({ success: false, message: 'Failed to update working hours.' });
+    if (rows.length > 0) {
+        const { error } = await supabase.from('staff_working_hours').insert(rows);
+        if (error) {
+            console.error('Error saving working hours, restoring previous hours:', error.message);
+            if (before && before.length > 0) await supabase.from('staff_working_hours').insert(before);
+            return res.status(500).json({ success: false, message: 'Failed to update working hours.' });
+        }
+    }
+    await recordAudit(req, { action: 'update', entityType: 'working_hours', entityId: id, before: { hours: before || [] }, after: { hours: rows } });
+    res.status(200).json({ success: true, message: 'Working hours updated.', data: rows });
+});
+
+// GET a therapist's leave
+app.get('/api/staff/:id/leave', authenticateStaff, requirePermission('staff:read'), async (req, res) => {
+    const { data, error } = await supabase
+        .from('staff_leave')
+        .select('*')
+        .eq('staff_id', req.params.id)
+        .order('start_date', { ascending: false });
+    if (error) return res.status(500).json({ success: false, message: error.message });
+    res.status(200).json({ success: true, data });
+});
+
+// POST leave for a therapist: { start_date, end_date, reason }
+app.post('/api/staff/:id/leave', authenticateStaff, requirePermission('schedule:write'), async (req, res) => {
+    const { id } = req.params;
+    const startCheck = FIELD_TYPES.date(req.body.start_date || '', {});
+    const endCheck = FIELD_TYPES.date(req.body.end_date || req.body.start_date || '', {});
+    const errors = {};
+    if (startCheck.error) errors.start_date = startCheck.error;
+    if (endCheck.error) errors.end_date = endCheck.error;
+    else if (!startCheck.error && endCheck.value < startCheck.value) errors.end_date = 'must be on or after start_date';
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+    }
+
+    const { data, error } = await supabase
+        .from('staff_leave')
+        .insert({ staff_id: id, start_date: startCheck.value, end_date: endCheck.value, reason: req.body.reason || null })
+        .select()
+        .single();
+    if (error) return res.status(400).json({ success: false, message: error.message });
+    await recordAudit(req, { action: 'create', entityType: 'staff_leave', entityId: data.id, after: data });
+    res.status(201).json({ success: true, data });
+});
+
+// DELETE a leave entry
+app.delete('/api/staff-leave/:leaveId', authenticateStaff, requirePermission('schedule:write'), async (req, res) => {
+    const { leaveId } = req.params;
+    const before = await fetchForAudit('staff_leave', leaveId);
+    const { error } = await supabase.from('staff_leave').delete().eq('id', leaveId);
+    if (error) return res.status(500).json({ success: false, message: error.message });
+    await recordAudit(req, { action: 'delete', entityType: 'staff_leave', entityId: leaveId, before });
+    res.status(200).json({ success: true, message: 'Leave removed.' });
+});
+
+// --- Recurring Appointment Series ---
+// A series row in 'appointment_series' (id, patient_id, staff_id, title, recurrence jsonb,
+// created_by, created_at) owns its occurrences through appointments.series_id.
+
+const SERIES_SCOPES = ['this', 'following', 'series'];
+const MAX_SERIES_OCCURRENCES = 104;
+const LOCAL_DATE_TIME = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(?::\d{2})?)$/;
+
+const addDaysToDate = (dateStr, days) => {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+};
+
+const daysBetween = (fromDate, toDate) =>
+    Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+
+// Expands a recurrence rule into local { start, end } pairs, starting with the first
+// occurrence. Rules:
+//   { frequency: 'weekly', weekdays: [1, 4], interval: 1, count | until }  (0 = Sunday)
+//   { frequency: 'daily', interval: 3, count | until }                     (every N days)
+// Returns { occurrences } or { error }.
+const expandRecurrence = (start, end, recurrence) => {
+    const startMatch = LOCAL_DATE_TIME.exec(start || '');
+    const endMatch = LOCAL_DATE_TIME.exec(end || '');
+    if (!startMatch || !endMatch) return { error: 'start and end must be local date-times (YYYY-MM-DDTHH:mm).' };
+    if (!recurrence || typeof recurrence !== 'object') return { error: 'A recurrence rule is required.' };
+
+    const { frequency, weekdays, until } = recurrence;
+    const interval = Number(recurrence.interval || 1);
+    const count = recurrence.count != null ? Number(recurrence.count) : null;
+    if (!['weekly', 'daily'].includes(frequency)) return { error: "recurrence.frequency must be 'weekly' or 'daily'." };
+    if (!Number.isInteger(interval) || interval < 1) return { error: 'recurrence.interval must be a whole number of at least 1.' };
+    if (count == null && !until) return { error: 'recurrence needs either a count or an until date.' };
+    if (count != null && (!Number.isInteger(count) || count < 1)) return { error: 'recurrence.count must be a whole number of at least 1.' };
+    if (until && !/^\d{4}-\d{2}-\d{2}$/.test(until)) return { error: 'recurrence.until must be a date (YYYY-MM-DD).' };
+
+    const [, firstDate, startClock] = startMatch;
+    const [, endDate, endClock] = endMatch;
+    const spanDays = daysBetween(firstDate, endDate);
+    const firstWeekday = new Date(`${firstDate}T00:00:00Z`).getUTCDay();
+    const days = frequency === 'weekly'
+        ? (Array.isArray(weekdays) && weekdays.length > 0 ? weekdays.map(Number) : [firstWeekday])
+        : null;
+    if (days && days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        return { error: 'recurrence.weekdays must be numbers from 0 (Sunday) to 6 (Saturday).' };
+    }
+
+    const occurrences = [];
+    const limit = Math.min(count || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+    for (let offset = 0; occurrences.length < limit; offset++) {
+        const date = addDaysToDate(firstDate, offset);
+        if (until && date > until) break;
+        let include;
+        if (frequency === 'daily') {
+            include = offset % interval === 0;
+        } else {
+            const week = Math.floor((offset + firstWeekday) / 7);
+            include = week % interval === 0 && days.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+        }
+        if (include) {
+            occurrences.push({ start: `${date}T${startClock}`, end: `${addDaysToDate(date, spanDays)}T${endClock}` });
+        }
+        if (offset > 366 * 5) break;
+    }
+    if (occurrences.length === 0) return { error: 'The recurrence rule produces no appointments.' };
+    return { occurrences };
+};
+
+// Occurrences affected by an edit/cancel of `occurrence` with the given scope. Besides
+// `occurrence` itself, only ones that haven't started and aren't Completed, Cancelled or
+// No-show are touched, so the series' history stays as it happened.
+const loadSeriesOccurrences = async (occurrence, scope) => {
+    let query = supabase.from('appointments').select('*').eq('series_id', occurrence.series_id);
+    if (scope === 'following') query = query.gte('start_time', occurrence.start_time);
+    const { data, error } = await query.order('start_time', { ascending: true });
+    if (error) throw error;
+    const now = Date.now();
+    return data.filter(t => String(t.id) === String(occurrence.id)
+        || (new Date(t.start_time).getTime() >= now && !['Completed', 'Cancelled', 'No-show'].includes(t.status)));
+};
+
+// Applies an edit made on one occurrence to "this and following" or the whole series.
+// A time change is applied as the same shift to every affected occurrence.
+const updateSeriesOccurrences = async (req, res, occurrence, { title, startTime, endTime, therapist_id, patient_id, status, scope }) => {
+    const shiftMs = new Date(startTime) - new Date(occurrence.start_time);
+    const durationMs = new Date(endTime) - new Date(startTime);
+    const targets = await loadSeriesOccurrences(occurrence, scope);
+    const blocked = status ? targets.find(t => appointmentTransitionError(t.status, status)) : null;
+    if (blocked) {
+        return res.status(409).json({ success: false, message: `${appointmentTransitionError(blocked.status, status)} (${blocked.start_time})` });
+    }
+
+    const planned = targets.map(t => {
+        const newStart = new Date(new Date(t.start_time).getTime() + shiftMs);
+        return {
+            target: t,
+            update: {
+                title,
+                start_time: newStart.toISOString(),
+                end_time: new Date(newStart.getTime() + durationMs).toISOString(),
+                staff_id: therapist_id,
+                patient_id,
+                status,
+                sequence: (t.sequence || 0) + 1
+            }
+        };
+    });
+
+    const toCheck = planned.map(p => ({ startTime: p.update.start_time, endTime: p.update.end_time, therapistId: therapist_id, patientId: patient_id, status }));
+    if (!(await checkAppointmentConflicts(req, res, toCheck, targets.map(t => t.id)))) return;
+
+    const updated = [];
+    for (const { target, update } of planned) {
+        const { data, error } = await supabase.from('appointments').update(update).eq('id', target.id).select().single();
+        if (error) {
+            console.error('Error updating series occurrence:', error.message);
+            return res.status(500).json({ success: false, message: `Updated ${updated.length} of ${planned.length} appointments before an error occurred.`, data: updated });
+        }
+        await recordAudit(req, { action: 'update', entityType: 'appointment', entityId: target.id, before: target, after: data });
+        await recordStatusChange(req, target, data);
+        if (data.status === 'Cancelled') await releaseAppointmentSlot(target);
+        updated.push(data);
+    }
+
+    if (scope === 'series') {
+        await supabase.from('appointment_series').update({ title, staff_id: therapist_id }).eq('id', occurrence.series_id);
+    }
+    res.status(200).json({ success: true, message: `${updated.length} appointments updated!`, data: updated });
+};
+
+// POST (Create) a recurring series of appointments
+app.post('/api/appointments/series', authenticateStaff, requirePermission('appointments:write'), async (req, res) => {
+    const { title, start, end, therapist_id, patient_id, status = 'Scheduled', recurrence } = req.body;
+    console.log('Received request to create appointment series:', recurrence);
+
+    if (!patient_id) {
+        return res.status(400).json({ success: false, message: 'A patient must be selected for the appointment.' });
+    }
+    const statusProblem = appointmentTransitionError(null, status);
+    if (statusProblem) {
+        return res.status(400).json({ success: false, message: statusProblem });
+    }
+    const { occurrences, error: ruleError } = expandRecurrence(start, end, recurrence);
+    if (ruleError) {
+        return res.status(400).json({ success: false, message: ruleError });
+    }
+
+    const timezone = await getClinicTimezone();
+    const rows = occurrences.map(o => ({ startTime: parseClinicDateTime(o.start, timezone), endTime: parseClinicDateTime(o.end, timezone) }));
+    const timeProblem = validateAppointmentTimes(rows[0].startTime, rows[0].endTime);
+    if (timeProblem) {
+        return res.status(400).json({ success: false, message: timeProblem });
+    }
+    if (!(await checkAppointmentConflicts(req, res, rows.map(r => ({ ...r, therapistId: therapist_id, patientId: patient_id, status }))))) return;
+
+    const { data: series, error: seriesError } = await supabase
+        .from('appointment_series')
+        .insert({ title, staff_id: therapist_id, patient_id, recurrence, created_by: req.staff.id })
+        .select()
+        .single();
+    if (seriesError) {
+        console.error('Error creating appointment series:', seriesError.message);
+        return res.status(500).json({ success: false, message: 'Failed to create appointment series.' });
+    }
+
+    const { data: appointments, error } = await supabase
+        .from('appointments')
+        .insert(rows.map(r => ({
+            title,
+            start_time: r.startTime,
+            end_time: r.endTime,
+            staff_id: therapist_id,
+            patient_id,
+            status,
+            series_id: series.id
+        })))
+        .select();
+
+    if (error) {
+        console.error('Error creating series appointments:', error.message);
+        await supabase.from('appointment_series').delete().eq('id', series.id);
+        return res.status(500).json({ success: false, message: 'Failed to create appointment series.' });
+    }
+    await recordAudit(req, { action: 'create', entityType: 'appointment_series', entityId: series.id, patientId: patient_id, after: { ...series, appointmentIds: appointments.map(a => a.id) } });
+    for (const appointment of appointments) {
+        await recordStatusChange(req, null, appointment);
+    }
+    res.status(201).json({ success: true, message: `Created ${appointments.length} appointments.`, data: { series, appointments } });
+});
+
+// GET a series with all of its occurrences
+app.get('/api/appointments/series/:id', authenticateStaff, requirePermission('appointments:read'), async (req, res) => {
+    const { id } = req.params;
+    const { data: series, error } = await supabase.from('appointment_series').select('*').eq('id', id).single();
+    if (error || !series) return res.status(404).json({ success: false, message: 'Series not found.' });
+
+    const { data: appointments, error: appointmentsError } = await supabase
+        .from('appointments')
+        .select('id, start_time, end_time, title, status, staff_id, patient_id')
+        .eq('series_id', id)
+        .order('start_time', { ascending: true });
+    if (appointmentsError) return res.status(500).json({ success: false, message: 'Failed to fetch series appointments.' });
+
+    res.status(200).json({ success: true, data: { ...series, appointments } });
+});
+
+// --- POST (Create) a New Appointment (Corrected) ---
+app.post('/api/appointments', authenticateStaff, requirePermission('appointments:write'), async (req, res) => {
+    console.log('Received request to create appointment with data:', req.body);
+    const { title, start, end, therapist_id, patient_id, status = 'Scheduled' } = req.body;
+
+    if (!patient_id) {
+        return res.status(400).json({ success: false, message: 'A patient must be selected for the appointment.' });
+    }
+    const statusProblem = appointmentTransitionError(null, status);
+    if (statusProblem) {
+        return res.status(400).json({ success: false, message: statusProblem });
+    }
+
+    // Local times from the calendar are interpreted in the clinic timezone.
+    const timezone = await getClinicTimezone();
+    const startTime = parseClinicDateTime(start, timezone);
+    const endTime = parseClinicDateTime(end, timezone);
+    const timeProblem = validateAppointmentTimes(startTime, endTime);
+    if (timeProblem) {
+        return res.status(400).json({ success: false, message: timeProblem });
+    }
+    if (!(await checkAppointmentConflicts(req, res, [{ startTime, endTime, therapistId: therapist_id, patientId: patient_id, status }]))) return;
+
+    const { data, error } = await supabase
+        .from('appointments')
+        .insert([{
+          title: title,
+          start_time: startTime,
+          end_time: endTime,
+          staff_id: therapist_id,
+          patient_id: patient_id,
+          status: status
+      }])
+        .select()
+        .single();
+    
+    if (error) { 
+        console.error("Error creating appointment:", error);
+        return res.status(500).json({ success: false, message: error.message });
+    }
+    await recordAudit(req, { action: 'create', entityType: 'appointment', entityId: data.id, after: data });
+    await recordStatusChange(req, null, data);
+    res.status(201).json({ success: true, message: 'Appointment created!', data });
+});
+
+// --- PATCH (Update) an Existing Appointment (Corrected) ---
+app.patch('/api/appointments/:id', authenticateStaff, requirePermission('appointments:write'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Received request to update appointment ${id}.`);
+    const { title, start, end, therapist_id, patient_id, status, scope = 'this' } = req.body;
+
+    if (!patient_id) {
+        return res.status(400).json({ success: false, message: 'A patient must be selected for the appointment.' });
+    }
+    if (!SERIES_SCOPES.includes(scope)) {
+        return res.status(400).json({ success: false, message: `scope must be one of: ${SERIES_SCOPES.join(', ')}` });
+    }
+
+    // Local times from the calendar are interpreted in the clinic timezone.
+    const timezone = await getClinicTimezone();
+    const startTime = parseClinicDateTime(start, timezone);
+    const endTime = parseClinicDateTime(end, timezone);
+    const timeProblem = validateAppointmentTimes(startTime, endTime);
+    if (timeProblem) {
+        return res.status(400).json({ success: false, message: timeProblem });
+    }
+
+    const before = await fetchForAudit('appointments', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Appointment not found.' });
+    if (scope !== 'this' && before.series_id) {
+        return updateSeriesOccurrences(req, res, before, { title, startTime, endTime, therapist_id, patient_id, status, scope });
+    }
+    const transitionProblem = status ? appointmentTransitionError(before.status, status) : null;
+    if (transitionProblem) {
+        return res.status(409).json({ success: false, message: transitionProblem });
+    }
+
+    if (!(await checkAppointmentConflicts(req, res, [{ startTime, endTime, therapistId: therapist_id, patientId: patient_id, status }], [id]))) return;
+
+    const { data, error } = await supabase
+        .from('appointments')
+        .update({
+          title: title,
+          start_time: startTime,
+          end_time: endTime,
+          staff_id: therapist_id,
+          patient_id: patient_id,
+          status: status,
+          sequence: (before.sequence || 0) + 1 // lets calendar subscribers pick up the change
+      })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) {
+        console.error("Error updating appointment:", error);
+        return res.status(500).json({ success: false, message: error.message });
+     }
+    await recordAudit(req, { action: 'update', entityType: 'appointment', entityId: id, before, after: data });
+    await recordStatusChange(req, before, data);
+    if (data.status === 'Cancelled') await releaseAppointmentSlot(before);
+    res.status(200).json({ success: true, message: 'Appointment updated!', data });
+});
+
+// POST move an appointment along its lifecycle: { status, reason }
+app.post('/api/appointments/:id/status', authenticateStaff, requirePermission('appointments:write'), async (req, res) => {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    const before = await fetchForAudit('appointments', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Appointment not found.' });
+
+    const transitionProblem = appointmentTransitionError(before.status, status);
+    if (transitionProblem) return res.status(409).json({ success: false, message: transitionProblem });
+    if (before.status === status) return res.status(200).json({ success: true, message: `Appointment is already ${status}.`, data: before });
+
+    // Only succeeds if nobody changed the status in the meantime.
+    const { data, error } = await supabase
+        .from('appointments')
+        .update({ status, sequence: (before.sequence || 0) + 1 })
+        .eq('id', id)
+        .eq('status', before.status)
+        .select()
+        .maybeSingle();
+    if (error) {
+        console.error('Error changing appointment status:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to update appointment status.' });
+    }
+    if (!data) return res.status(409).json({ success: false, message: 'The appointment was changed by someone else. Please reload.' });
+
+    await recordAudit(req, { action: 'update', entityType: 'appointment', entityId: id, before, after: data });
+    await recordStatusChange(req, before, data, reason ? String(reason).trim() : null);
+    if (data.status === 'Cancelled') await releaseAppointmentSlot(before);
+    res.status(200).json({ success: true, message: `Appointment marked ${status}.`, data });
+});
+
+// GET the status history of an appointment
+app.get('/api/appointments/:id/history', authenticateStaff, requirePermission('appointments:read'), async (req, res) => {
+    const { data, error } = await supabase
+        .from('appointment_status_history')
+        .select('*, staff:staff!appointment_status_history_changed_by_staff_id_fkey ( full_name )')
+        .eq('appointment_id', req.params.id)
+        .order('changed_at', { ascending: true });
+    if (error) return res.status(500).json({ success: false, message: error.message });
+    res.status(200).json({ success: true, data });
+});
+
+// 4. DELETE an Appointment
+app.delete('/api/appointments/:id', authenticateStaff, requirePermission('appointments:write'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Received request to delete appointment ${id}.`);
+    const scope = req.query.scope || 'this';
+    if (!SERIES_SCOPES.includes(scope)) {
+        return res.status(400).json({ success: false, message: `scope must be one of: ${SERIES_SCOPES.join(', ')}` });
+    }
+
+    const before = await fetchForAudit('appointments', id);
+    if (before && scope !== 'this' && before.series_id) {
+        const targets = await loadSeriesOccurrences(before, scope);
+        const { error } = await supabase.from('appointments').delete().in('id', targets.map(t => t.id));
+        if (error) {
+            console.error('Error deleting appointment series:', error.message);
+            return res.status(500).json({ success: false, message: 'Failed to delete appointments.' });
+        }
+        for (const target of targets) {
+            await recordAudit(req, { action: 'delete', entityType: 'appointment', entityId: target.id, before: target });
+            await releaseAppointmentSlot(target);
+        }
+        return res.status(200).json({ success: true, message: `${targets.length} appointments deleted.`, data: { deletedIds: targets.map(t => t.id) } });
+    }
+
+    const { error } = await supabase
+        .from('appointments')
+        .delete()
+        .eq('id', id);
+
+    if (error) {
+        console.error('Error deleting appointment:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to delete appointment.' });
+    }
+    await recordAudit(req, { action: 'delete', entityType: 'appointment', entityId: id, before });
+    await releaseAppointmentSlot(before);
+    res.status(200).json({ success: true, message: 'Appointment deleted successfully.' });
+});
+
+// --- CANCELLATION WAITLIST ---
+// Patients wait in 'waitlist_entries' (id, patient_id, staff_id or null for any therapist,
+// preferred_weekdays int[], preferred_start / preferred_end 'HH:mm', priority, status
+// 'waiting' | 'offered' | 'booked' | 'removed', notes, created_at). When a booked slot is
+// cancelled or deleted it is offered to one matching patient at a time through
+// 'waitlist_offers' (id, waitlist_entry_id, patient_id, staff_id, start_time, end_time,
+// status 'pending' | 'accepted' | 'declined' | 'expired', expires_at, appointment_id).
+// If an offer is declined or runs out, the slot moves on to the next patient in line.
+
+const WAITLIST_HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES) || 120;
+
+const entryMatchesSlot = (entry, slotStart, slotEnd, timezone) => {
+    const start = toClinicLocal(slotStart, timezone);
+    const end = toClinicLocal(slotEnd, timezone);
+    const weekdays = Array.isArray(entry.preferred_weekdays) ? entry.preferred_weekdays.map(Number) : [];
+    if (weekdays.length > 0 && !weekdays.includes(start.weekday)) return false;
+    const from = clockToMinutes(entry.preferred_start);
+    const until = clockToMinutes(entry.preferred_end);
+    if (from != null && start.minutes < from) return false;
+    if (until != null && (end.date !== start.date || end.minutes > until)) return false;
+    return true;
+};
+
+// Offers a freed slot to the next waiting patient who wants it. Patients who were already
+// offered this exact slot are skipped. Returns the new offer, or null if nobody matched.
+const offerFreedSlot = async ({ staff_id, start_time, end_time, patient_id: freedBy = null }) => {
+    if (!staff_id || !start_time || new Date(start_time).getTime() <= Date.now()) return null;
+
+    const [entriesRes, previousRes, pendingRes] = await Promise.all([
+        supabase.from('waitlist_entries').select('*').eq('status', 'waiting').or(`staff_id.is.null,staff_id.eq.${Number(staff_id)}`)
+            .order('priority', { ascending: false }).order('created_at', { ascending: true }),
+        supabase.from('waitlist_offers').select('patient_id').eq('staff_id', staff_id).eq('start_time', new Date(start_time).toISOString()),
+        supabase.from('waitlist_offers').select('id').eq('staff_id', staff_id).eq('start_time', new Date(start_time).toISOString()).eq('status', 'pending')
+    ]);
+    if (entriesRes.error) throw entriesRes.error;
+    if ((pendingRes.data || []).length > 0) return null; // already being held for someone
+
+    // Slots re-offered after a decline or expiry may have been booked or closed since.
+    const timezone = await getClinicTimezone();
+    if (await findAvailabilityProblem(staff_id, start_time, end_time, timezone)) return null;
+    const alreadyOffered = new Set((previousRes.data || []).map(o => String(o.patient_id)));
+    for (const entry of entriesRes.data) {
+        if (String(entry.patient_id) === String(freedBy) || alreadyOffered.has(String(entry.patient_id))) continue;
+        if (!entryMatchesSlot(entry, start_time, end_time, timezone)) continue;
+        const clashes = await findAppointmentConflicts({ startTime: start_time, endTime: end_time, therapistId: staff_id, patientId: entry.patient_id });
+        if (clashes.some(c => c.conflictsWith.includes('therapist'))) return null;
+        if (clashes.length > 0) continue;
+
+        const { data: offer, error } = await supabase
+            .from('waitlist_offers')
+            .insert({
+                waitlist_entry_id: entry.id,
+                patient_id: entry.patient_id,
+                staff_id,
+                start_time: new Date(start_time).toISOString(),
+                end_time: new Date(end_time).toISOString(),
+                status: 'pending',
+                expires_at: new Date(Date.now() + WAITLIST_HOLD_MINUTES * 60 * 1000).toISOString()
+            })
+            .select()
+            .single();
+        if (error) throw error;
+        await supabase.from('waitlist_entries').update({ status: 'offered' }).eq('id', entry.id);
+        console.log(`Offered freed slot ${offer.start_time} (therapist ${staff_id}) to waitlisted patient ${entry.patient_id}.`);
+        return offer;
+    }
+    return null;
+};
+
+// Called after an appointment is cancelled or deleted. Never fails the caller's request.
+const releaseAppointmentSlot = async (appointment) => {
+    if (!appointment || appointment.status === 'Cancelled') return;
+    try {
+        await offerFreedSlot(appointment);
+    } catch (error) {
+        console.error('Could not offer freed slot to the waitlist:', error.message);
+    }
+};
+
+// Closes an offer (declined or expired), returns the patient to the queue and passes
+// the slot to the next patient in line.
+const closeWaitlistOffer = async (offer, status) => {
+    const { data: closed } = await supabase
+        .from('waitlist_offers')
+        .update({ status })
+        .eq('id', offer.id)
+        .eq('status', 'pending')
+        .select('id');
+    if (!closed || closed.length === 0) return;
+    await supabase.from('waitlist_entries').update({ status: 'waiting' }).eq('id', offer.waitlist_entry_id).eq('status', 'offered');
+    await offerFreedSlot(offer);
+};
+
+const expireWaitlistOffers = async () => {
+    const { data: expired, error } = await supabase
+        .from('waitlist_offers')
+        .select('*')
+        .eq('status', 'pending')
+        .lt('expires_at', new Date().toISOString());
+    if (error) throw error;
+    for (const offer of expired) {
+        await closeWaitlistOffer(offer, 'expired');
+    }
+    return expired.length;
+};
+
+// Books the held slot for the patient. Returns { appointment } or { status, message }.
+const acceptWaitlistOffer = async (req, offer) => {
+    if (offer.status !== 'pending' || new Date(offer.expires_at).getTime() < Date.now()) {
+        return { status: 409, message: 'This offer is no longer available.' };
+    }
+    const clashes = await findAppointmentConflicts({ startTime: offer.start_time, endTime: offer.end_time, therapistId: offer.staff_id, patientId: offer.patient_id });
+    if (clashes.length > 0) {
+        await closeWaitlistOffer(offer, 'expired');
+        return { status: 409, message: 'Sorry, this time has just been taken.' };
+    }
+
+    const { data: claimed } = await supabase
+        .from('waitlist_offers')
+        .update({ status: 'accepted' })
+        .eq('id', offer.id)
+        .eq('status', 'pending')
+        .select('id');
+    if (!claimed || claimed.length === 0) return { status: 409, message: 'This offer is no longer available.' };
+
+    const { data: appointment, error } = await supabase
+        .from('appointments')
+        .insert({
+            title: 'Physiotherapy session',
+            start_time: offer.start_time,
+            end_time: offer.end_time,
+            staff_id: offer.staff_id,
+            patient_id: offer.patient_id,
+            status: 'Scheduled'
+        })
+        .select()
+        .single();
+    if (error) {
+        console.error('Error booking accepted waitlist offer:', error.message);
+        await supabase.from('waitlist_offers').update({ status: 'pending' }).eq('id', offer.id);
+        return { status: 500, message: 'Failed to book the appointment.' };
+    }
+
+    await supabase.from('waitlist_offers').update({ appointment_id: appointment.id }).eq('id', offer.id);
+    await supabase.from('waitlist_entries').update({ status: 'booked' }).eq('id', offer.waitlist_entry_id);
+    await recordAudit(req, { action: 'create', entityType: 'appointment', entityId: appointment.id, after: appointment });
+    await recordStatusChange(req, null, appointment);
+    return { appointment };
+};
+
+const WAITLIST_FIELDS = ['staff_id', 'preferred_weekdays', 'preferred_start', 'preferred_end', 'priority', 'notes'];
+
+// Returns { value, errors } for a waitlist entry body.
+const validateWaitlistEntry = (body, { partial = false } = {}) => {
+    const errors = {};
+    const value = {};
+    for (const key of Object.keys(body || {})) {
+        if (key !== 'patient_id' && !WAITLIST_FIELDS.includes(key)) errors[key] = 'is not an allowed field';
+    }
+    if (!partial || body.patient_id !== undefined) {
+        const patient = FIELD_TYPES.integer(body.patient_id ?? '', { min: 1 });
+        if (patient.error) errors.patient_id = patient.error; else value.patient_id = patient.value;
+    }
+    if (body.staff_id !== undefined) {
+        const staff = body.staff_id === null || body.staff_id === '' ? { value: null } : FIELD_TYPES.integer(body.staff_id, { min: 1 });
+        if (staff.error) errors.staff_id = staff.error; else value.staff_id = staff.value;
+    }
+    if (body.preferred_weekdays !== undefined) {
+        const days = Array.isArray(body.preferred_weekdays) ? body.preferred_weekdays.map(Number) : null;
+        if (!days || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) errors.preferred_weekdays = 'must be a list of weekdays from 0 (Sunday) to 6 (Saturday)';
+        else value.preferred_weekdays = days;
+    }
+    for (const key of ['preferred_start', 'preferred_end']) {
+        if (body[key] === undefined) continue;
+        if (body[key] === null || body[key] === '') value[key] = null;
+        else if (clockToMinutes(body[key]) == null) errors[key] = 'must be a time (HH:mm)';
+        else value[key] = String(body[key]).slice(0, 5);
+    }
+    if (body.priority !== undefined) {
+        const priority = FIELD_TYPES.integer(body.priority, { min: 0, max: 100 });
+        if (priority.error) errors.priority = priority.error; else value.priority = priority.value;
+    }
+    if (body.notes !== undefined) value.notes = body.notes ? String(body.notes).trim() : null;
+    return { value, errors };
+};
+
+// GET the waitlist: ?status=waiting (default) | offered | booked | removed | all
+app.get('/api/waitlist', authenticateStaff, requirePermission('appointments:read'), async (req, res) => {
+    await expireWaitlistOffers().catch(error => console.error('Error expiring waitlist offers:', error.message));
+    const status = req.query.status || 'waiting';
+
+    let query = supabase
+        .from('waitlist_entries')
+        .select('*, patients ( full_name, phone_number ), staff:staff!waitlist_entries_staff_id_fkey ( full_name )');
+    if (status !== 'all') query = query.eq('status', status);
+    const { data, error } = await query.order('priority', { ascending: false }).order('created_at', { ascending: true });
+    if (error) return res.status(500).json({ success: false, message: error.message });
+    res.status(200).json({ success: true, data });
+});
+
+// POST add a patient to the waitlist
+app.post('/api/waitlist', authenticateStaff, requirePermission('appointments:write'), async (req, res) => {
+    const { value, errors } = validateWaitlistEntry(req.body);
+    if (Object.keys(errors).length > 0) return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+
+    const { data, error } = await supabase
+        .from('waitlist_entries')
+        .insert({ priority: 0, ...value, status: 'waiting' })
+        .select()
+        .single();
+    if (error) return res.status(400).json({ success: false, message: error.message });
+    await recordAudit(req, { action: 'create', entityType: 'waitlist_entry', entityId: data.id, after: data });
+    res.status(201).json({ success: true, data });
+});
+
+// PATCH a waitlist entry's preferences or priority
+app.patch('/api/waitlist/:id', authenticateStaff, requirePermission('appointments:write'), async (req, res) => {
+    const { id } = req.params;
+    const { value, errors } = validateWaitlistEntry(req.body, { partial: true });
+    if (Object.keys(errors).length > 0) return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+
+    const before = await fetchForAudit('waitlist_entries', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Waitlist entry not found.' });
+    const { data, error } = await supabase.from('waitlist_entries').update(value).eq('id', id).select().single();
+    if (error) return res.status(400).json({ success: false, message: error.message });
+    await recordAudit(req, { action: 'update', entityType: 'waitlist_entry', entityId: id, before, after: data });
+    res.status(200).json({ success: true, data });
+});
+
+// DELETE (remove) a patient from the waitlist. The entry is kept for history.
+app.delete('/api/waitlist/:id', authenticateStaff, requirePermission('appointments:write'), async (req, res) => {
+    const { id } = req.params;
+    const before = await fetchForAudit('waitlist_entries', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Waitlist entry not found.' });
+
+    const { data, error } = await supabase.from('waitlist_entries').update({ status: 'removed' }).eq('id', id).select().single();
+    if (error) return res.status(500).json({ success: false, message: error.message });
+    const { data: pending } = await supabase.from('waitlist_offers').select('*').eq('waitlist_entry_id', id).eq('status', 'pending');
+    for (const offer of pending || []) await closeWaitlistOffer(offer, 'declined');
+    await recordAudit(req, { action: 'update', entityType: 'waitlist_entry', entityId: id, before, after: data });
+    res.status(200).json({ success: true, message: 'Removed from waitlist.' });
+});
+
+// GET offers: ?status=pending (default) | accepted | declined | expired | all
+app.get('/api/waitlist/offers', authenticateStaff, requirePermission('appointments:read'), async (req, res) => {
+    await expireWaitlistOffers().catch(error => console.error('Error expiring waitlist offers:', error.message));
+    const status = req.query.status || 'pending';
+    let query = supabase.from('waitlist_offers').select('*, patients ( full_name, phone_number )');
+    if (status !== 'all') query = query.eq('status', status);
+    const { data, error } = await query.order('start_time', { ascending: true });
+    if (error) return res.status(500).json({ success: false, message: error.message });
+    res.status(200).json({ success: true, data });
+});
+
+// POST accept / decline an offer on the patient's behalf (e.g. they phoned in)
+app.post('/api/waitlist/offers/:id/accept', authenticateStaff, requirePermission('appointments:write'), async (req, res) => {
+    const offer = await fetchForAudit('waitlist_offers', req.params.id);
+    if (!offer) return res.status(404).json({ success: false, message: 'Offer not found.' });
+    const result = await acceptWaitlistOffer(req, offer);
+    if (!result.appointment) return res.status(result.status).json({ success: false, message: result.message });
+    res.status(201).json({ success: true, message: 'Appointment booked from the waitlist.', data: result.appointment });
+});
+
+app.post('/api/waitlist/offers/:id/decline', authenticateStaff, requirePermission('appointments:write'), async (req, res) => {
+    const offer = await fetchForAudit('waitlist_offers', req.params.id);
+    if (!offer) return res.status(404).json({ success: false, message: 'Offer not found.' });
+    await closeWaitlistOffer(offer, 'declined');
+    res.status(200).json({ success: true, message: 'Offer declined.' });
+});
+
+// --- APPOINTMENT REMINDERS ---
+// Sends templated reminders before upcoming appointments (by default 24h and 2h ahead,
+// or settings.reminder_offsets_hours). Each send is logged in 'reminder_log'
+// (id, appointment_id, offset_hours, channel, status 'sending' | 'sent' | 'failed' | 'skipped',
+// error, attempts, created_at; unique on appointment_id + offset_hours) so it never goes out
+// twice. A failed send is tried again on later runs, up to REMINDER_MAX_ATTEMPTS times.
+// Patients opt out with patients.reminders_opt_out and choose preferred_language ('en' | 'km')
+// and preferred_channel. Runs on a timer (REMINDER_INTERVAL_MINUTES) and through
+// POST /api/jobs/run-due for serverless deployments.
+
+const DEFAULT_REMINDER_OFFSETS_HOURS = [24, 2];
+const REMINDER_MAX_ATTEMPTS = 3;
+// A channel that doesn't answer in time counts as a failed send, so one slow gateway can't stall the run.
+const REMINDER_SEND_TIMEOUT_MS = 10 * 1000;
+
+const REMINDER_TEMPLATES = {
+    en: 'Hi {name}, this is a reminder of your appointment at {clinic} on {date} at {time} with {therapist}. To reschedule, please call {phone}.',
+    km: 'សួស្តី {name}! សូមរំលឹកពីការណាត់ជួបរបស់អ្នកនៅ {clinic} ថ្ងៃទី {date} ម៉ោង {time} ជាមួយ {therapist}។ ដើម្បីប្តូរពេលណាត់ សូមទូរស័ព្ទមក {phone}។'
+};
+
+const fillTemplate = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => (values[key] != null ? values[key] : ''));
+
+// Channel adapters. Each one says whether it can reach a patient and how to send to them.
+const postJson = async (url, body, headers = {}) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REMINDER_SEND_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`${url} responded ${response.status}`);
+};
+
+const REMINDER_CHANNELS = {
+    // Generic HTTP SMS gateway: POST { to, message } to SMS_API_URL
+    sms: {
+        canReach: (patient) => Boolean(patient.phone_number),
+        send: (patient, message) => postJson(process.env.SMS_API_URL, { to: patient.phone_number, message }, { Authorization: `Bearer ${process.env.SMS_API_KEY || ''}` })
+    },
+    telegram: {
+        canReach: (patient) => Boolean(patient.telegram_chat_id),
+        send: (patient, message) => postJson(`https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, { chat_id: patient.telegram_chat_id, text: message })
+    },
+    // Generic HTTP email API: POST { to, subject, text } to EMAIL_API_URL
+    email: {
+        canReach: (patient) => Boolean(patient.email),
+        send: (patient, message, subject) => postJson(process.env.EMAIL_API_URL, { to: patient.email, subject, text: message }, { Authorization: `Bearer ${process.env.EMAIL_API_KEY || ''}` })
+    },
+    // For development and testing: appends to REMINDER_LOG_FILE, or prints to the console
+    console: {
+        canReach: () => true,
+        send: async (patient, message) => {
+            const line = `[reminder] ${new Date().toISOString()} patient=${patient.id} ${message}`;
+            if (process.env.REMINDER_LOG_FILE) await fs.promises.appendFile(process.env.REMINDER_LOG_FILE, `${line}\n`);
+            else console.log(line);
+        }
+    }
+};
+
+// Channels enabled for this deployment, in fallback order, e.g. REMINDER_CHANNELS=telegram,sms
+const enabledReminderChannels = () => (process.env.REMINDER_CHANNELS || 'console')
+    .split(',')
+    .map(c => c.trim())
+    .filter(c => REMINDER_CHANNELS[c]);
+
+const pickReminderChannel = (patient) => {
+    const enabled = enabledReminderChannels();
+    const ordered = patient.preferred_channel && enabled.includes(patient.preferred_channel)
+        ? [patient.preferred_channel, ...enabled.filter(c => c !== patient.preferred_channel)]
+        : enabled;
+    return ordered.find(c => REMINDER_CHANNELS[c].canReach(patient)) || null;
+};
+
+const formatClock = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Claims one reminder point for sending: a new log row, or a failed one that still has
+// attempts left. Returns the claimed row's { id }, or null if it isn't this run's to send.
+const claimReminder = async (appointmentId, offset, channel) => {
+    const { data: inserted, error } = await supabase
+        .from('reminder_log')
+        .insert({ appointment_id: appointmentId, offset_hours: offset, channel, status: channel ? 'sending' : 'skipped', attempts: channel ? 1 : 0 })
+        .select('id')
+        .single();
+    if (!error) return inserted;
+    if (!channel) return null;
+
+    const { data: previous } = await supabase
+        .from('reminder_log')
+        .select('id, attempts')
+        .eq('appointment_id', appointmentId)
+        .eq('offset_hours', offset)
+        .eq('status', 'failed')
+        .maybeSingle();
+    const attempts = previous ? Number(previous.attempts) || 1 : null;
+    if (!previous || attempts >= REMINDER_MAX_ATTEMPTS) return null;
+    // Only lands if another run hasn't re-claimed it first.
+    const { data: reclaimed } = await supabase
+        .from('reminder_log')
+        .update({ status: 'sending', channel, attempts: attempts + 1, error: null })
+        .eq('id', previous.id)
+        .eq('status', 'failed')
+        .select('id')
+        .maybeSingle();
+    return reclaimed || null;
+};
+
+// Sends every reminder that is due now. Returns counts per outcome.
+const runDueReminders = async () => {
+    const { data: settings } = await supabase
+        .from('settings')
+        .select('clinic_name, phone_number, reminder_offsets_hours')
+        .eq('id', 1)
+        .maybeSingle();
+    const offsets = (settings && Array.isArray(settings.reminder_offsets_hours) && settings.reminder_offsets_hours.length > 0
+        ? settings.reminder_offsets_hours
+        : DEFAULT_REMINDER_OFFSETS_HOURS).map(Number).sort((a, b) => a - b);
+    const timezone = await getClinicTimezone();
+    const now = Date.now();
+
+    const { data: appointments, error } = await supabase
+        .from('appointments')
+        .select('id, start_time, status, patients ( * ), staff:staff!appointments_staff_id_fkey ( full_name )')
+        .eq('status', 'Scheduled')
+        .gt('start_time', new Date(now).toISOString())
+        .lte('start_time', new Date(now + offsets[offsets.length - 1] * 60 * 60 * 1000).toISOString());
+    if (error) throw error;
+
+    const summary = { sent: 0, failed: 0, skipped: 0 };
+    for (const appointment of appointments) {
+        const patient = appointment.patients;
+        if (!patient) continue;
+        // The nearest reminder point this appointment has reached.
+        const hoursUntil = (new Date(appointment.start_time).getTime() - now) / (60 * 60 * 1000);
+        const offset = offsets.find(h => hoursUntil <= h);
+
+        const channel = patient.reminders_opt_out ? null : pickReminderChannel(patient);
+        const claimed = await claimReminder(appointment.id, offset, channel);
+        if (!claimed) continue; // already sent (or being sent) for this reminder point
+        if (!channel) {
+            summary.skipped++;
+            continue;
+        }
+
+        const local = toClinicLocal(appointment.start_time, timezone);
+        const language = REMINDER_TEMPLATES[patient.preferred_language] ? patient.preferred_language : 'en';
+        const message = fillTemplate(REMINDER_TEMPLATES[language], {
+            name: patient.full_name,
+            clinic: (settings && settings.clinic_name) || 'Kheng PhysioCare',
+            phone: (settings && settings.phone_number) || '',
+            date: local.date,
+            time: formatClock(local.minutes),
+            therapist: appointment.staff ? appointment.staff.full_name : ''
+        });
+
+        try {
+            await REMINDER_CHANNELS[channel].send(patient, message, 'Appointment reminder');
+            await supabase.from('reminder_log').update({ status: 'sent' }).eq('id', claimed.id);
+            summary.sent++;
+        } catch (sendError) {
+            console.error(`Reminder for appointment ${appointment.id} via ${channel} failed:`, sendError.message);
+            await supabase.from('reminder_log').update({ status: 'failed', error: sendError.message }).eq('id', claimed.id);
+            summary.failed++;
+        }
+    }
+    return summary;
+};
+
+// All periodic work, for the timer and the serverless endpoint alike.
+const runDueJobs = async () => {
+    const reminders = await runDueReminders();
+    const expiredOffers = await expireWaitlistOffers();
+    return { reminders, expiredOffers };
+};
+
+// Lets a scheduler (cron, Netlify scheduled function, ...) call the job endpoint
+// with the x-cron-secret header instead of a staff login.
+const authenticateStaffOrCron = (req, res, next) => {
+    const secret = process.env.JOBS_CRON_SECRET;
+    const provided = req.headers['x-cron-secret'];
+    // Hashed first so both sides are the same length whatever was sent.
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    if (secret && provided && crypto.timingSafeEqual(digest(provided), digest(secret))) {
+        return next();
+    }
+    return authenticateStaff(req, res, () => requirePermission('settings:write')(req, res, next));
+};
+
+// POST run all due jobs once (reminders, waitlist offer expiry)
+app.post('/api/jobs/run-due', authenticateStaffOrCron, async (req, res) => {
+    try {
+        const result = await runDueJobs();
+        res.status(200).json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error running due jobs:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to run due jobs.' });
+    }
+});
+
+// GET the reminder log: ?appointment_id=&patient_id=
+app.get('/api/reminders/log', authenticateStaff, requirePermission('appointments:read'), async (req, res) => {
+    let query = supabase.from('reminder_log').select('*, appointments!inner ( start_time, patient_id )');
+    if (req.query.appointment_id) query = query.eq('appointment_id', req.query.appointment_id);
+    if (req.query.patient_id) query = query.eq('appointments.patient_id', req.query.patient_id);
+    const { data, error } = await query.order('created_at', { ascending: false }).limit(200);
+    if (error) return res.status(500).json({ success: false, message: error.message });
+    res.status(200).json({ success: true, data });
+});
+
+// --- Confirm / Decline Portal Requests ---
+const resolveRequestedAppointment = (newStatus, message) => async (req, res) => {
+    const { id } = req.params;
+    const before = await fetchForAudit('appointments', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Appointment not found.' });
+    if (before.status !== 'Requested') {
+        return res.status(409).json({ success: false, message: 'Only requested appointments can be confirmed or declined.' });
+    }
+    if (newStatus === 'Scheduled' && !(await checkAppointmentConflicts(req, res, [{ startTime: before.start_time, endTime: before.end_time, therapistId: before.staff_id, patientId: before.patient_id, status: newStatus }], [id]))) return;
+
+    const { data, error } = await supabase
+        .from('appointments')
+        .update({ status: newStatus, sequence: (before.sequence || 0) + 1 })
+        .eq('id', id)
+        .select()
+        .single();
+    if (error) {
+        console.error('Error resolving appointment request:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to update appointment.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'appointment', entityId: id, before, after: data });
+    await recordStatusChange(req, before, data);
+    res.status(200).json({ success: true, message, data });
+};
+
+app.post('/api/appointments/:id/confirm', authenticateStaff, requirePermission('appointments:write'), resolveRequestedAppointment('Scheduled', 'Appointment confirmed.'));
+app.post('/api/appointments/:id/decline', authenticateStaff, requirePermission('appointments:write'), resolveRequestedAppointment('Cancelled', 'Appointment request declined.'));
+
+// --- Get Single Invoice by ID (with items) ---
+app.get('/api/invoices/:id', authenticateStaff, requirePermission('invoices:read'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Received request for single invoice with ID: ${id}`);
+
+    // First, get the main invoice details and the patient's name
+    const { data: invoice, error: invoiceError } = await supabase
+        .from('invoices')
+        .select(`*, patients (full_name, date_of_birth, gender), payers (name, payer_type)`)
+        .eq('id', id)
+        .single();
+
+    if (invoiceError || !invoice) {
+        return res.status(404).json({ success: false, message: 'Invoice not found.' });
+    }
+
+    // Next, get all the line items for that invoice
+    const { data: items, error: itemsError } = await supabase
+        .from('invoice_items')
+        .select('*')
+        .eq('invoice_id', id);
+
+    if (itemsError) {
+        return res.status(500).json({ success: false, message: 'Failed to fetch invoice items.' });
+    }
+
+    const { data: payments, error: paymentsError } = await supabase
+        .from('payments')
+        .select('*, staff:staff!payments_received_by_fkey ( full_name )')
+        .eq('invoice_id', id)
+        .order('received_at', { ascending: true });
+
+    if (paymentsError) {
+        return res.status(500).json({ success: false, message: 'Failed to fetch invoice payments.' });
+    }
+
+    // Combine everything into one object to send to the frontend
+    const responseData = {
+        ...invoice,
+        items: items,
+        payments: payments,
+        balance: invoiceBalance(invoice),
+        payerBalance: payerBalance(invoice),
+        totals: inBothCurrencies(invoice.total_amount, invoice),
+        balances: inBothCurrencies(invoiceBalance(invoice), invoice)
+    };
+
+    res.status(200).json({ success: true, data: responseData });
+});
+
+// In server.js
+
+// --- CURRENCIES & EXCHANGE RATES ---
+// Money is stored in the clinic's base currency (settings.base_currency, 'USD' or 'KHR').
+// 'exchange_rates' keeps the daily history (effective_date, khr_per_usd, created_by); the
+// rate for a day is the latest one on or before it. Invoices snapshot currency and
+// exchange_rate when issued, so reprints and later payments use the same conversion.
+// Riel amounts are always rounded to the nearest 100.
+
+const CURRENCIES = ['USD', 'KHR'];
+
+const roundRiel = (n) => Math.round(n / 100) * 100;
+const roundCurrency = (amount, currency) => (currency === 'KHR' ? roundRiel(amount) : roundMoney(amount));
+
+const convertCurrency = (amount, from, to, khrPerUsd) => {
+    if (from === to) return roundCurrency(amount, to);
+    return to === 'KHR' ? roundRiel(amount * khrPerUsd) : roundMoney(amount / khrPerUsd);
+};
+
+const getBaseCurrency = async () => {
+    const { data } = await supabase.from('settings').select('base_currency').eq('id', 1).maybeSingle();
+    return (data && CURRENCIES.includes(data.base_currency)) ? data.base_currency : 'USD';
+};
+
+// KHR per USD in effect on a clinic date, or null if no rate has been entered yet.
+const getExchangeRate = async (date) => {
+    const { data } = await supabase
+        .from('exchange_rates')
+        .select('khr_per_usd')
+        .lte('effective_date', date)
+        .order('effective_date', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    return data ? Number(data.khr_per_usd) : null;
+};
+
+// { currency, exchange_rate } to store on an invoice issued now.
+const currentCurrencySnapshot = async () => {
+    const timezone = await getClinicTimezone();
+    const [currency, rate] = await Promise.all([getBaseCurrency(), getExchangeRate(clinicDateOf(Date.now(), timezone))]);
+    return { currency, exchange_rate: rate };
+};
+
+// An amount in the invoice's currency, in every currency its rate allows.
+const inBothCurrencies = (amount, invoice) => {
+    const currency = invoice.currency || 'USD';
+    if (!invoice.exchange_rate) return { [currency]: roundCurrency(Number(amount) || 0, currency) };
+    return Object.fromEntries(CURRENCIES.map(c => [c, convertCurrency(Number(amount) || 0, currency, c, Number(invoice.exchange_rate))]));
+};
+
+// A payment (in its invoice's currency) in the base currency, at the invoice's own rate
+// or else `fallbackRate`. null when there is no rate to convert with.
+const paymentInBaseCurrency = (payment, baseCurrency, fallbackRate) => {
+    const invoice = payment.invoices || {};
+    const currency = invoice.currency || baseCurrency;
+    const rate = Number(invoice.exchange_rate) || fallbackRate;
+    if (currency !== baseCurrency && !rate) return null;
+    return convertCurrency(Number(payment.amount) || 0, currency, baseCurrency, rate);
+};
+
+// Sums payments in the base currency, skipping (and logging) any that can't be converted.
+const sumPaymentsInBaseCurrency = (payments, baseCurrency, fallbackRate) => {
+    let total = 0;
+    for (const payment of payments) {
+        const amount = paymentInBaseCurrency(payment, baseCurrency, fallbackRate);
+        if (amount === null) {
+            console.warn(`Payment ${payment.id} has no exchange rate to convert it to ${baseCurrency}; left out of the total.`);
+            continue;
+        }
+        total += amount;
+    }
+    return roundCurrency(total, baseCurrency);
+};
+
+// GET the exchange rate history: ?limit=
+app.get('/api/exchange-rates', authenticateStaff, requirePermission('settings:read'), async (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 60, 365);
+    const { data, error } = await supabase
+        .from('exchange_rates')
+        .select('*')
+        .order('effective_date', { ascending: false })
+        .limit(limit);
+    if (error) return res.status(500).json({ success: false, message: 'Failed to fetch exchange rates.' });
+
+    const timezone = await getClinicTimezone();
+    const today = clinicDateOf(Date.now(), timezone);
+    const current = data.find(r => r.effective_date <= today) || null;
+    res.status(200).json({ success: true, data: { baseCurrency: await getBaseCurrency(), current, history: data } });
+});
+
+// POST set the rate for a day (today by default): { khr_per_usd, effective_date }
+app.post('/api/exchange-rates', authenticateStaff, requirePermission('settings:write'), validateBody('exchangeRate'), async (req, res) => {
+    if (!(req.body.khr_per_usd > 0)) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors: { khr_per_usd: 'must be greater than zero' } });
+    }
+    const timezone = await getClinicTimezone();
+    const effectiveDate = req.body.effective_date || clinicDateOf(Date.now(), timezone);
+
+    const { data: before } = await supabase.from('exchange_rates').select('*').eq('effective_date', effectiveDate).maybeSingle();
+    const { data, error } = await supabase
+        .from('exchange_rates')
+        .upsert({ effective_date: effectiveDate, khr_per_usd: req.body.khr_per_usd, created_by: req.staff.id }, { onConflict: 'effective_date' })
+        .select()
+        .single();
+    if (error) {
+        console.error('Error saving exchange rate:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to save exchange rate.' });
+    }
+    await recordAudit(req, { action: before ? 'update' : 'create', entityType: 'exchange_rate', entityId: data.id, before, after: data });
+    res.status(before ? 200 : 201).json({ success: true, message: `Exchange rate for ${effectiveDate} saved.`, data });
+});
+
+// --- PAYMENTS ---
+// Each invoice has a ledger in 'payments' (id, invoice_id, amount, method, reference,
+// note, received_by, received_at). Refunds are negative payments. The invoice keeps
+// amount_paid and a status derived from the ledger: Unpaid, Partially Paid, Paid or
+// Overpaid (the patient holds a credit). Credit notes lower what is owed. Payments from an
+// insurer or employer also carry payer_id and claim_id, and are summed in payer_paid.
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+// What the patient still owes on an invoice (negative when they hold a credit). The
+// payer's portion (payer_amount) is left out, and so are the payer's payments.
+const invoiceBalance = (invoice) => roundCurrency(
+    (Number(invoice.total_amount) || 0) - (Number(invoice.amount_credited) || 0) - (Number(invoice.payer_amount) || 0)
+    - ((Number(invoice.amount_paid) || 0) - (Number(invoice.payer_paid) || 0)),
+    invoice.currency || 'USD'
+);
+
+// What the payer still owes on an invoice.
+const payerBalance = (invoice) => roundCurrency((Number(invoice.payer_amount) || 0) - (Number(invoice.payer_paid) || 0), invoice.currency || 'USD');
+
+// Why payments can't be taken on this document, or null.
+const paymentBlocker = (invoice) => {
+    if (invoice.document_type === 'credit_note') return 'Payments are recorded on the original invoice, not on a credit note.';
+    if (invoice.state === 'draft') return 'Issue the invoice before taking payments.';
+    if (invoice.state === 'void') return 'This invoice has been voided.';
+    return null;
+};
+
+// Compared in the currency's smallest unit: cents, or 100 riel.
+const derivePaymentStatus = (total, paid, currency = 'USD') => {
+    const unit = currency === 'KHR' ? 100 : 0.01;
+    const totalUnits = Math.round(roundCurrency(total, currency) / unit);
+    const paidUnits = Math.round(roundCurrency(paid, currency) / unit);
+    if (paidUnits <= 0 && totalUnits > 0) return 'Unpaid';
+    if (paidUnits < totalUnits) return 'Partially Paid';
+    if (paidUnits === totalUnits) return 'Paid';
+    return 'Overpaid';
+};
+
+// Recomputes amount_paid and status from the ledger. Returns the updated invoice.
+const refreshInvoicePaymentStatus = async (invoiceId) => {
+    const [{ data: invoice, error: invoiceError }, { data: payments, error: paymentsError }] = await Promise.all([
+        supabase.from('invoices').select('id, total_amount, amount_credited, currency').eq('id', invoiceId).single(),
+        supabase.from('payments').select('amount, payer_id').eq('invoice_id', invoiceId)
+    ]);
+    if (invoiceError) throw invoiceError;
+    if (paymentsError) throw paymentsError;
+
+    const currency = invoice.currency || 'USD';
+    const amountPaid = roundCurrency(payments.reduce((sum, p) => sum + Number(p.amount || 0), 0), currency);
+    const payerPaid = roundCurrency(payments.filter(p => p.payer_id).reduce((sum, p) => sum + Number(p.amount || 0), 0), currency);
+    const { data, error } = await supabase
+        .from('invoices')
+        .update({ amount_paid: amountPaid, payer_paid: payerPaid, status: derivePaymentStatus((Number(invoice.total_amount) || 0) - (Number(invoice.amount_credited) || 0), amountPaid, currency) })
+        .eq('id', invoiceId)
+        .select()
+        .single();
+    if (error) throw error;
+    return data;
+};
+
+// Works out a ledger entry from what the desk entered, in either currency:
+// { amount, currency, tendered }. `amount` is what goes on the invoice (defaulting to
+// the balance, capped by `tendered` for cash); change is tendered minus amount.
+// mode: 'payment', 'settle' (the whole balance) or 'refund'.
+// Returns { entry, change } or { status, message }.
+const preparePayment = (invoice, { amount, currency, tendered, method, reference, note }, mode) => {
+    const invoiceCurrency = invoice.currency || 'USD';
+    const paidIn = currency || invoiceCurrency;
+    const rate = Number(invoice.exchange_rate) || null;
+    if (paidIn !== invoiceCurrency && !rate) {
+        return { status: 409, message: `This invoice has no exchange rate, so it can only be paid in ${invoiceCurrency}.` };
+    }
+
+    const balance = invoiceBalance(invoice);
+    const balanceInCurrency = convertCurrency(Math.max(0, balance), invoiceCurrency, paidIn, rate);
+    let currencyAmount;
+    if (mode === 'settle') currencyAmount = balanceInCurrency;
+    else if (amount != null) currencyAmount = roundCurrency(amount, paidIn);
+    else if (mode === 'payment' && tendered != null) currencyAmount = Math.min(roundCurrency(tendered, paidIn), balanceInCurrency);
+    if (!(currencyAmount > 0)) return { status: 400, message: 'The amount must be greater than zero.' };
+
+    // Paying the whole (rounded) balance settles it exactly, whatever the rounding.
+    let baseAmount = mode !== 'refund' && currencyAmount === balanceInCurrency
+        ? balance
+        : convertCurrency(currencyAmount, paidIn, invoiceCurrency, rate);
+    if (mode === 'refund') {
+        const patientPaid = roundCurrency((Number(invoice.amount_paid) || 0) - (Number(invoice.payer_paid) || 0), invoiceCurrency);
+        if (Math.round(baseAmount * 100) > Math.round(patientPaid * 100)) {
+            return { status: 409, message: `Only ${patientPaid} ${invoiceCurrency} has been paid on this invoice by the patient.` };
+        }
+        baseAmount = -baseAmount;
+        currencyAmount = -currencyAmount;
+    }
+
+    let change = null;
+    if (tendered != null && mode !== 'refund') {
+        const changeAmount = roundCurrency(tendered - currencyAmount, paidIn);
+        if (changeAmount < 0) return { status: 400, message: 'The amount tendered is less than the amount being paid.' };
+        change = rate
+            ? Object.fromEntries(CURRENCIES.map(c => [c, convertCurrency(changeAmount, paidIn, c, rate)]))
+            : { [paidIn]: changeAmount };
+    }
+
+    return {
+        entry: {
+            amount: baseAmount,
+            currency: paidIn,
+            currency_amount: currencyAmount,
+            exchange_rate: rate,
+            tendered: tendered != null ? roundCurrency(tendered, paidIn) : null,
+            change_given: change ? change[paidIn] : null,
+            method,
+            reference: reference || null,
+            note: note || null
+        },
+        change
+    };
+};
+
+// Adds a ledger entry (negative for refunds) and re-derives the invoice status.
+const recordPayment = async (req, res, invoice, input, mode, successMessage) => {
+    const prepared = preparePayment(invoice, input, mode);
+    if (prepared.message) return res.status(prepared.status).json({ success: false, message: prepared.message });
+
+    const { data: payment, error } = await supabase
+        .from('payments')
+        .insert({
+            invoice_id: invoice.id,
+            ...prepared.entry,
+            received_by: req.staff.id,
+            received_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+    if (error) {
+        console.error('Error recording payment:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to record payment.' });
+    }
+    await recordAudit(req, { action: 'create', entityType: 'payment', entityId: payment.id, patientId: invoice.patient_id, after: payment });
+
+    const updated = await refreshInvoicePaymentStatus(invoice.id);
+    await recordAudit(req, { action: 'update', entityType: 'invoice', entityId: invoice.id, before: invoice, after: updated });
+    res.status(201).json({
+        success: true,
+        message: successMessage,
+        data: { payment, change: prepared.change, invoice: updated, balance: invoiceBalance(updated), balances: inBothCurrencies(invoiceBalance(updated), updated) }
+    });
+};
+
+// GET the payment ledger of an invoice
+app.get('/api/invoices/:id/payments', authenticateStaff, requirePermission('invoices:read'), async (req, res) => {
+    const { data, error } = await supabase
+        .from('payments')
+        .select('*, staff:staff!payments_received_by_fkey ( full_name )')
+        .eq('invoice_id', req.params.id)
+        .order('received_at', { ascending: true });
+    if (error) return res.status(500).json({ success: false, message: 'Failed to fetch payments.' });
+    res.status(200).json({ success: true, data });
+});
+
+// POST take a payment: { amount, currency, tendered, method, reference, note }
+app.post('/api/invoices/:id/payments', authenticateStaff, requirePermission('invoices:write'), idempotent, validateBody('payment'), async (req, res) => {
+    const invoice = await fetchForAudit('invoices', req.params.id);
+    if (!invoice) return res.status(404).json({ success: false, message: 'Invoice not found.' });
+    if (paymentBlocker(invoice)) return res.status(409).json({ success: false, message: paymentBlocker(invoice) });
+    return recordPayment(req, res, invoice, req.body, 'payment', 'Payment recorded.');
+});
+
+// POST refund part or all of what was paid: { amount, currency, method, reference, note }
+app.post('/api/invoices/:id/refunds', authenticateStaff, requirePermission('payments:refund'), idempotent, validateBody('payment'), async (req, res) => {
+    const invoice = await fetchForAudit('invoices', req.params.id);
+    if (!invoice) return res.status(404).json({ success: false, message: 'Invoice not found.' });
+    if (invoice.document_type === 'credit_note') return res.status(409).json({ success: false, message: paymentBlocker(invoice) });
+    if (req.body.amount == null) return res.status(400).json({ success: false, message: 'Validation failed.', errors: { amount: 'is required' } });
+    return recordPayment(req, res, invoice, req.body, 'refund', 'Refund recorded.');
+});
+
+// PATCH settle the outstanding balance in one payment: { method, currency, tendered, reference }
+app.patch('/api/invoices/:id/pay', authenticateStaff, requirePermission('invoices:write'), idempotent, async (req, res) => {
+    const { id } = req.params;
+    console.log(`Received request to mark invoice ${id} as paid.`);
+
+    const invoice = await fetchForAudit('invoices', id);
+    if (!invoice) return res.status(404).json({ success: false, message: 'Invoice not found.' });
+    if (paymentBlocker(invoice)) return res.status(409).json({ success: false, message: paymentBlocker(invoice) });
+    const balance = invoiceBalance(invoice);
+    if (balance <= 0) return res.status(409).json({ success: false, message: 'This invoice has nothing left to pay.' });
+
+    const { value, errors } = validateAgainstSchema(SCHEMAS.payment, { method: 'cash', ...req.body, amount: undefined });
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+    }
+    return recordPayment(req, res, invoice, value, 'settle', 'Invoice marked as paid!');
+});
+
+// GET payments received in a period: ?from=YYYY-MM-DD&to=YYYY-MM-DD&method= (clinic dates, inclusive)
+app.get('/api/payments', authenticateStaff, requirePermission('invoices:read'), async (req, res) => {
+    const timezone = await getClinicTimezone();
+    const today = clinicDateOf(Date.now(), timezone);
+    const from = req.query.from || today;
+    const to = req.query.to || from;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        return res.status(400).json({ success: false, message: 'from and to must be dates (YYYY-MM-DD).' });
+    }
+
+    let query = supabase
+        .from('payments')
+        .select('*, invoices ( id, patient_id, currency, exchange_rate, patients ( full_name ) ), staff:staff!payments_received_by_fkey ( full_name )')
+        .gte('received_at', fromClinicLocal(from, 0, timezone).toISOString())
+        .lt('received_at', fromClinicLocal(addDaysToDate(to, 1), 0, timezone).toISOString());
+    if (req.query.method) query = query.eq('method', req.query.method);
+    const { data, error } = await query.order('received_at', { ascending: true });
+    if (error) return res.status(500).json({ success: false, message: 'Failed to fetch payments.' });
+
+    // Totals are in the base currency; totalsByCurrency is what should be in the drawer.
+    const [baseCurrency, currentRate] = await Promise.all([getBaseCurrency(), getExchangeRate(today)]);
+    const totalsByMethod = {};
+    const totalsByCurrency = {};
+    for (const payment of data) {
+        totalsByMethod[payment.method] = roundCurrency((totalsByMethod[payment.method] || 0) + (paymentInBaseCurrency(payment, baseCurrency, currentRate) || 0), baseCurrency);
+        const currency = payment.currency || baseCurrency;
+        const counted = payment.currency_amount != null ? Number(payment.currency_amount) : Number(payment.amount);
+        totalsByCurrency[currency] = roundCurrency((totalsByCurrency[currency] || 0) + counted, currency);
+    }
+    const total = sumPaymentsInBaseCurrency(data, baseCurrency, currentRate);
+    res.status(200).json({ success: true, data: { from, to, baseCurrency, total, totalsByMethod, totalsByCurrency, payments: data } });
+});
+
+// --- Update (Edit) Invoice Route ---
+app.patch('/api/invoices/:id', authenticateStaff, requirePermission('invoices:write'), idempotent, async (req, res) => {
+    const { id } = req.params;
+    console.log(`[${BUILD_TAG}] Received request to update invoice ${id}.`);
+
+    // Status is derived from the payment ledger, so any status sent here is ignored.
+    const { patientId, diagnostic } = req.body;
+
+    const beforeInvoice = await fetchForAudit('invoices', id);
+    if (!beforeInvoice) return res.status(404).json({ success: false, message: 'Invoice not found.' });
+    if (beforeInvoice.state !== 'draft') {
+        return res.status(409).json({ success: false, message: 'Issued invoices cannot be edited. Void it or issue a credit note instead.' });
+    }
+    const { data: beforeItems, error: itemsLoadError } = await supabase.from('invoice_items').select('*').eq('invoice_id', id);
+    if (itemsLoadError) {
+        console.error('Error loading invoice items:', itemsLoadError);
+        return res.status(500).json({ success: false, message: 'Could not update invoice.' });
+    }
+
+    const currency = beforeInvoice.currency || await getBaseCurrency();
+    const priced = await priceInvoice(req, res, currency);
+    if (!priced) return;
+    const totals = { ...priced.totals };
+
+    // Queued charges already billed on this draft stay on it.
+    const { data: attachedCharges } = await supabase.from('patient_charges').select('description, amount').eq('invoice_id', id);
+    const normalizedItems = [...priced.lines];
+    for (const charge of attachedCharges || []) {
+        const amount = roundCurrency(toAmount(charge.amount), currency);
+        normalizedItems.push({ service_name: charge.description, quantity: 1, unit_price: amount, list_price: amount });
+        totals.subtotal = roundCurrency(totals.subtotal + amount, currency);
+        totals.total_amount = roundCurrency(totals.total_amount + amount, currency);
+    }
+
+    // Coverage is picked again when asked for (coverageId, null for none) or when the
+    // invoice moves to another patient.
+    let coverageChanges = {};
+    const targetPatientId = patientId || beforeInvoice.patient_id;
+    if (req.body.coverageId !== undefined || String(targetPatientId) !== String(beforeInvoice.patient_id)) {
+        const today = clinicDateOf(Date.now(), await getClinicTimezone());
+        const { coverage, error: coverageError } = await resolveCoverage(targetPatientId, req.body.coverageId, today);
+        if (coverageError) return res.status(400).json({ success: false, message: 'Validation failed.', errors: { coverageId: coverageError } });
+        coverageChanges = { coverage_id: coverage ? coverage.id : null, payer_id: coverage ? coverage.payer_id : null };
+    }
+
+    const updatePayload = {
+        patient_id: patientId,
+        diagnostic: diagnostic,
+        ...coverageChanges,
+        ...totals
+    };
+    console.log(`[${BUILD_TAG}] Update payload keys:`, Object.keys(updatePayload));
+
+    // New items go in before the old ones are removed, so the invoice is never left empty.
+    const undoSteps = [];
+
+    // 1. Update the main invoice record
+    const { error: invoiceUpdateError } = await supabase
+        .from('invoices')
+        .update(updatePayload)
+        .eq('id', id);
+    if (invoiceUpdateError) {
+        console.error('Error updating main invoice record:', invoiceUpdateError);
+        return res.status(500).json({ success: false, message: 'Could not update invoice.' });
+    }
+    const restoredHeader = Object.fromEntries(Object.keys(updatePayload).map(key => [key, beforeInvoice[key]]));
+    undoSteps.push(async () => { await supabase.from('invoices').update(restoredHeader).eq('id', id); });
+
+    // 2. Insert the new invoice items
+    if (normalizedItems.length > 0) {
+        const { data: insertedItems, error: itemsInsertError } = await supabase
+            .from('invoice_items')
+            .insert(normalizedItems.map(item => ({ invoice_id: id, ...item })))
+            .select('id');
+        if (itemsInsertError) {
+            console.error('Error inserting new invoice items:', itemsInsertError);
+            await rollBack(undoSteps);
+            return res.status(500).json({ success: false, message: 'Could not save new invoice items.' });
+        }
+        undoSteps.push(async () => { await supabase.from('invoice_items').delete().in('id', insertedItems.map(i => i.id)); });
+    }
+
+    // 3. Remove the items they replace
+    if (beforeItems.length > 0) {
+        const { error: deleteError } = await supabase
+            .from('invoice_items')
+            .delete()
+            .in('id', beforeItems.map(i => i.id));
+        if (deleteError) {
+            console.error('Error deleting old invoice items:', deleteError);
+            await rollBack(undoSteps);
+            return res.status(500).json({ success: false, message: 'Could not update invoice items.' });
+        }
+    }
+
+    // A new total can change whether the payments so far cover it.
+    const updatedInvoice = await refreshInvoicePaymentStatus(id);
+
+    const itemSummary = (list) => list.map(({ service_name, quantity, unit_price }) => ({ service_name, quantity, unit_price }));
+    await recordAudit(req, {
+        action: 'update',
+        entityType: 'invoice',
+        entityId: id,
+        before: { ...beforeInvoice, items: itemSummary(beforeItems) },
+        after: { ...updatedInvoice, items: itemSummary(normalizedItems) }
+    });
+    res.status(200).json({ success: true, message: 'Invoice updated successfully!' });
+});
+
+// --- Delete Invoice Route ---
+app.delete('/api/invoices/:id', authenticateStaff, requirePermission('invoices:delete'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Received request to delete invoice ${id}.`);
+
+    // Only drafts can be deleted; issued invoices are voided or credited instead.
+    const beforeInvoice = await fetchForAudit('invoices', id);
+    if (!beforeInvoice) return res.status(404).json({ success: false, message: 'Invoice not found.' });
+    if (beforeInvoice.state !== 'draft') {
+        return res.status(409).json({ success: false, message: 'Only draft invoices can be deleted. Void it or issue a credit note instead.' });
+    }
+    const { data: beforeItems } = await supabase.from('invoice_items').select('service_name, quantity, unit_price').eq('invoice_id', id);
+
+    // Queued charges billed on the draft go back in the queue.
+    await supabase.from('patient_charges').update({ invoice_id: null }).eq('invoice_id', id);
+
+    // First, delete the related items in the 'invoice_items' table
     const { error: itemsError } = await supabase
         .from('invoice_items')
         .delete()
         .eq('invoice_id', id);
 
-    if (itemsError) {
-        console.error('Error deleting invoice items:', itemsError);
-        return res.status(500).json({ success: false, message: 'Could not delete invoice items.' });
+    if (itemsError) {
+        console.error('Error deleting invoice items:', itemsError);
+        return res.status(500).json({ success: false, message: 'Could not delete invoice items.' });
+    }
+
+    // Then, delete the main invoice record
+    const { error: invoiceError } = await supabase
+        .from('invoices')
+        .delete()
+        .eq('id', id);
+
+    if (invoiceError) {
+        console.error('Error deleting invoice:', invoiceError);
+        return res.status(500).json({ success: false, message: 'Could not delete invoice.' });
+    }
+    await recordAudit(req, { action: 'delete', entityType: 'invoice', entityId: id, before: beforeInvoice && { ...beforeInvoice, items: beforeItems || [] } });
+
+    res.status(200).json({ success: true, message: 'Invoice deleted successfully!' });
+});
+// --- INVOICE LIFECYCLE: ISSUE, VOID, CREDIT NOTES ---
+// Invoices are drafts (editable, deletable) until issued; after that they are immutable.
+// A void cancels an issued document: it records void_reason / voided_by / voided_at and
+// puts back the stock it took. A credit note is its own document (document_type
+// 'credit_note', original_invoice_id, credit_reason) for all or part of an invoice; the
+// invoice keeps the running amount_credited, which lowers what the patient owes.
+
+const invoiceNumber = (invoice) => `#${invoice.document_type === 'credit_note' ? 'CN' : 'INV'}-${invoice.id.toString().padStart(5, '0')}`;
+
+// Display status for lists: the lifecycle wins over the payment status.
+const invoiceDisplayStatus = (invoice) => {
+    if (invoice.state === 'draft') return 'Draft';
+    if (invoice.state === 'void') return 'Void';
+    if (invoice.document_type === 'credit_note') return 'Credit Note';
+    return invoice.status;
+};
+
+// Re-sums the credit notes (not voided) issued against an invoice.
+const refreshAmountCredited = async (invoiceId) => {
+    const [{ data: invoice, error: invoiceError }, { data: notes, error }] = await Promise.all([
+        supabase.from('invoices').select('currency').eq('id', invoiceId).single(),
+        supabase
+            .from('invoices')
+            .select('total_amount')
+            .eq('original_invoice_id', invoiceId)
+            .eq('document_type', 'credit_note')
+            .neq('state', 'void')
+    ]);
+    if (invoiceError) throw invoiceError;
+    if (error) throw error;
+    const amountCredited = roundCurrency(notes.reduce((sum, n) => sum + Number(n.total_amount || 0), 0), invoice.currency || 'USD');
+    const { error: updateError } = await supabase.from('invoices').update({ amount_credited: amountCredited }).eq('id', invoiceId);
+    if (updateError) throw updateError;
+    return refreshInvoicePaymentStatus(invoiceId);
+};
+
+// Net quantity of each product still out of stock because of an invoice and its credit notes.
+const netSoldQuantities = async (invoiceId) => {
+    const { data: notes } = await supabase.from('invoices').select('id').eq('original_invoice_id', invoiceId).neq('state', 'void');
+    const documentIds = [invoiceId, ...(notes || []).map(n => n.id)];
+    const { data: movements, error } = await supabase.from('stock_movements').select('product_id, delta').in('invoice_id', documentIds);
+    if (error) throw error;
+    const sold = new Map();
+    for (const m of movements) sold.set(String(m.product_id), (sold.get(String(m.product_id)) || 0) - m.delta);
+    return sold;
+};
+
+// POST issue a draft invoice: it takes its stock and can no longer be edited
+app.post('/api/invoices/:id/issue', authenticateStaff, requirePermission('invoices:write'), idempotent, async (req, res) => {
+    const { id } = req.params;
+    const before = await fetchForAudit('invoices', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Invoice not found.' });
+    if (before.state !== 'draft') return res.status(409).json({ success: false, message: 'Only draft invoices can be issued.' });
+
+    const undoSteps = [];
+    try {
+        let coverage = null;
+        if (before.coverage_id) {
+            const today = clinicDateOf(Date.now(), await getClinicTimezone());
+            const resolved = await resolveCoverage(before.patient_id, before.coverage_id, today);
+            if (resolved.error) {
+                return res.status(409).json({ success: false, message: 'The coverage on this invoice is no longer active. Update the draft before issuing it.' });
+            }
+            coverage = resolved.coverage;
+        }
+
+        const { data: lines, error: linesError } = await supabase
+            .from('invoice_items')
+            .select('service_id, product_id, package_id, quantity, unit_price')
+            .eq('invoice_id', id);
+        if (linesError) throw linesError;
+        const stockProblem = await applyStockChanges(saleStockChanges(lines), undoSteps, { invoiceId: before.id, reason: 'sale' });
+        if (stockProblem) {
+            await rollBack(undoSteps);
+            return res.status(409).json({ success: false, message: stockProblem });
+        }
+        await grantPackages(before, lines, undoSteps);
+        // The draft was priced in its own currency, so only the exchange rate is brought up to date.
+        const snapshot = await currentCurrencySnapshot();
+        const split = coverage
+            ? coverageSplit(coverage, lines, before.discount_amount, await coveredSessionsUsed(coverage.id), before.currency || snapshot.currency)
+            : { payerAmount: 0, sessions: 0 };
+        await openClaim(before, coverage, split, undoSteps);
+
+        const { data: issued } = await supabase
+            .from('invoices')
+            .update({
+                state: 'issued',
+                issued_at: new Date().toISOString(),
+                payer_amount: split.payerAmount,
+                currency: before.currency || snapshot.currency,
+                exchange_rate: snapshot.exchange_rate
+            })
+            .eq('id', id)
+            .eq('state', 'draft')
+            .select('id');
+        if (!issued || issued.length === 0) {
+            await rollBack(undoSteps);
+            return res.status(409).json({ success: false, message: 'This invoice was changed by someone else. Please reload.' });
+        }
+
+        const after = await refreshInvoicePaymentStatus(id);
+        await recordAudit(req, { action: 'update', entityType: 'invoice', entityId: id, before, after });
+        res.status(200).json({ success: true, message: 'Invoice issued.', data: after });
+    } catch (error) {
+        console.error('Error issuing invoice:', error);
+        await rollBack(undoSteps);
+        res.status(500).json({ success: false, message: 'Failed to issue invoice.' });
+    }
+});
+
+// POST void an issued invoice or credit note: { reason }
+app.post('/api/invoices/:id/void', authenticateStaff, requirePermission('invoices:void'), idempotent, async (req, res) => {
+    const { id } = req.params;
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ success: false, message: 'Validation failed.', errors: { reason: 'is required' } });
+
+    const before = await fetchForAudit('invoices', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Invoice not found.' });
+    if (before.state === 'void') return res.status(409).json({ success: false, message: 'This invoice is already void.' });
+    if (before.state === 'draft') return res.status(409).json({ success: false, message: 'Drafts are deleted, not voided.' });
+    if (Number(before.amount_paid) > 0) {
+        return res.status(409).json({ success: false, message: 'Refund the payments on this invoice before voiding it.' });
+    }
+    if (before.document_type !== 'credit_note') {
+        const { count: openNotes } = await supabase
+            .from('invoices')
+            .select('*', { count: 'exact', head: true })
+            .eq('original_invoice_id', id)
+            .neq('state', 'void');
+        if (openNotes > 0) return res.status(409).json({ success: false, message: 'Void the credit notes for this invoice first.' });
+    }
+    const { data: claim } = await supabase.from('claims').select('id, status').eq('invoice_id', id).maybeSingle();
+    if (claim && !['draft', 'rejected'].includes(claim.status)) {
+        return res.status(409).json({ success: false, message: `The claim for this invoice is ${claim.status}. Only invoices with a draft or rejected claim can be voided.` });
+    }
+    const { data: soldPackages } = await supabase.from('patient_packages').select('id, sessions_used, status').eq('invoice_id', id);
+    if ((soldPackages || []).some(p => p.sessions_used > 0)) {
+        return res.status(409).json({ success: false, message: 'Sessions from a package on this invoice have been used. Issue a credit note instead.' });
+    }
+
+    const undoSteps = [];
+    try {
+        // Put back everything this document took out of (or returned to) stock.
+        const { data: movements, error: movementsError } = await supabase
+            .from('stock_movements')
+            .select('product_id, delta')
+            .eq('invoice_id', id);
+        if (movementsError) throw movementsError;
+        const stockProblem = await applyStockChanges(movements.map(m => ({ productId: m.product_id, delta: -m.delta })), undoSteps, { invoiceId: before.id, reason: 'void' });
+        if (stockProblem) {
+            await rollBack(undoSteps);
+            return res.status(409).json({ success: false, message: stockProblem });
+        }
+
+        // Packages sold on it are closed before any session can be taken from them.
+        const openPackageIds = (soldPackages || []).filter(p => p.status === 'active').map(p => p.id);
+        if (openPackageIds.length > 0) {
+            const { error: packagesError } = await supabase
+                .from('patient_packages')
+                .update({ status: 'cancelled', cancelled_reason: `Invoice voided: ${reason}`, cancelled_by: req.staff.id, cancelled_at: new Date().toISOString() })
+                .in('id', openPackageIds);
+            if (packagesError) throw packagesError;
+            undoSteps.push(async () => {
+                await supabase.from('patient_packages').update({ status: 'active', cancelled_reason: null, cancelled_by: null, cancelled_at: null }).in('id', openPackageIds);
+            });
+        }
+
+        const { data: voided } = await supabase
+            .from('invoices')
+            .update({ state: 'void', status: 'Void', void_reason: reason, voided_by: req.staff.id, voided_at: new Date().toISOString() })
+            .eq('id', id)
+            .or('state.is.null,state.neq.void')
+            .select()
+            .maybeSingle();
+        if (!voided) {
+            await rollBack(undoSteps);
+            return res.status(409).json({ success: false, message: 'This invoice was changed by someone else. Please reload.' });
+        }
+
+        // Queued charges (e.g. no-show fees) go back to wait for the next invoice.
+        await supabase.from('patient_charges').update({ invoice_id: null }).eq('invoice_id', id);
+        // An unsent claim goes with it; a rejected one stays on record.
+        if (claim && claim.status === 'draft') await supabase.from('claims').delete().eq('id', claim.id);
+        if (before.document_type === 'credit_note') await refreshAmountCredited(before.original_invoice_id);
+
+        await recordAudit(req, { action: 'update', entityType: 'invoice', entityId: id, before, after: voided });
+        res.status(200).json({ success: true, message: `${invoiceNumber(voided)} has been voided.`, data: voided });
+    } catch (error) {
+        console.error('Error voiding invoice:', error);
+        await rollBack(undoSteps);
+        res.status(500).json({ success: false, message: 'Failed to void invoice.' });
+    }
+});
+
+// POST issue a credit note against an invoice:
+// { reason, amount (defaults to the patient's share not yet credited), inventoryReturns: [{ id, quantityReturned }],
+//   cancelPackages: [patient package id] }
+// Packages sold on the invoice and listed in cancelPackages are closed with the credit note.
+// A credit for everything left must close every package still open on the invoice.
+app.post('/api/invoices/:id/credit-notes', authenticateStaff, requirePermission('invoices:credit'), idempotent, async (req, res) => {
+    const { id } = req.params;
+    const { inventoryReturns = [], cancelPackages = [] } = req.body;
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ success: false, message: 'Validation failed.', errors: { reason: 'is required' } });
+
+    const original = await fetchForAudit('invoices', id);
+    if (!original) return res.status(404).json({ success: false, message: 'Invoice not found.' });
+    if (original.document_type === 'credit_note' || original.state === 'draft' || original.state === 'void') {
+        return res.status(409).json({ success: false, message: 'Credit notes can only be issued against issued invoices.' });
+    }
+
+    // The payer's portion is settled through its claim, so only the patient's share can be credited.
+    const { data: openClaimRow } = await supabase
+        .from('claims')
+        .select('id, status')
+        .eq('invoice_id', original.id)
+        .in('status', ['draft', 'submitted', 'approved'])
+        .maybeSingle();
+    if (openClaimRow) {
+        return res.status(409).json({ success: false, message: `The claim for this invoice is ${openClaimRow.status}. Settle or reject the claim before issuing a credit note.` });
+    }
+    const currency = original.currency || 'USD';
+    const creditable = roundCurrency((Number(original.total_amount) || 0) - (Number(original.payer_amount) || 0) - (Number(original.amount_credited) || 0), currency);
+    const amount = req.body.amount == null || req.body.amount === '' ? creditable : roundCurrency(toAmount(req.body.amount), currency);
+    if (!(amount > 0) || amount > creditable) {
+        return res.status(400).json({ success: false, message: `The credit must be more than 0 and at most ${creditable}.` });
+    }
+
+    const { data: soldPackages } = await supabase.from('patient_packages').select('id, status').eq('invoice_id', original.id);
+    const openPackages = (soldPackages || []).filter(p => p.status === 'active');
+    const toCancel = Array.isArray(cancelPackages) ? cancelPackages.map(String) : [];
+    const notOnInvoice = toCancel.find(pkgId => !openPackages.some(p => String(p.id) === pkgId));
+    if (notOnInvoice) {
+        return res.status(400).json({ success: false, message: `Package ${notOnInvoice} is not an open package from this invoice.` });
+    }
+    if (amount === creditable && openPackages.some(p => !toCancel.includes(String(p.id)))) {
+        return res.status(409).json({ success: false, message: 'Crediting this invoice in full also cancels its packages. List them in cancelPackages.' });
+    }
+
+    // The same product may be listed more than once; it's the total returned that counts.
+    const returns = new Map();
+    for (const item of inventoryReturns) {
+        returns.set(String(item.id), (returns.get(String(item.id)) || 0) + Math.max(0, Number(item.quantityReturned) || 0));
+    }
+
+    // Runs last on a rollback, once the note is gone, so amount_credited is right again.
+    const undoSteps = [async () => { await refreshAmountCredited(original.id); }];
+    try {
+        const sold = await netSoldQuantities(original.id);
+        for (const [productId, returned] of returns) {
+            if (returned > (sold.get(productId) || 0)) {
+                return res.status(400).json({ success: false, message: `Product ${productId}: only ${sold.get(productId) || 0} can be returned against this invoice.` });
+            }
+        }
+
+        const { data: note, error: noteError } = await supabase
+            .from('invoices')
+            .insert({
+                patient_id: original.patient_id,
+                appointment_id: original.appointment_id,
+                document_type: 'credit_note',
+                original_invoice_id: original.id,
+                credit_reason: reason,
+                currency: original.currency,
+                exchange_rate: original.exchange_rate,
+                state: 'issued',
+                issued_at: new Date().toISOString(),
+                status: 'Credit Note',
+                subtotal: amount,
+                discount_type: 'none',
+                discount_value: 0,
+                discount_amount: 0,
+                total_amount: amount,
+                amount_paid: 0
+            })
+            .select()
+            .single();
+        if (noteError) throw noteError;
+        undoSteps.push(async () => { await supabase.from('invoices').delete().eq('id', note.id); });
+
+        const { error: itemError } = await supabase.from('invoice_items').insert({
+            invoice_id: note.id,
+            service_name: `Credit for ${invoiceNumber(original)}: ${reason}`,
+            quantity: 1,
+            unit_price: amount
+        });
+        if (itemError) throw itemError;
+        undoSteps.push(async () => { await supabase.from('invoice_items').delete().eq('invoice_id', note.id); });
+
+        const stockProblem = await applyStockChanges(
+            [...returns].map(([productId, returned]) => ({ productId, delta: returned })),
+            undoSteps,
+            { invoiceId: note.id, reason: 'return' }
+        );
+        if (stockProblem) {
+            await rollBack(undoSteps);
+            return res.status(409).json({ success: false, message: stockProblem });
+        }
+
+        if (toCancel.length > 0) {
+            const { data: cancelled, error: packagesError } = await supabase
+                .from('patient_packages')
+                .update({ status: 'cancelled', cancelled_reason: `Credited on ${invoiceNumber(note)}: ${reason}`, cancelled_by: req.staff.id, cancelled_at: new Date().toISOString() })
+                .in('id', toCancel)
+                .eq('status', 'active')
+                .select('id');
+            if (packagesError) throw packagesError;
+            undoSteps.push(async () => {
+                await supabase.from('patient_packages').update({ status: 'active', cancelled_reason: null, cancelled_by: null, cancelled_at: null }).in('id', cancelled.map(p => p.id));
+            });
+            if (cancelled.length !== toCancel.length) {
+                await rollBack(undoSteps);
+                return res.status(409).json({ success: false, message: 'A package on this invoice was changed by someone else. Please reload.' });
+            }
+        }
+
+        // Two credit notes issued at once can both pass the checks above. With this one
+        // in place the totals are checked again, and it backs out if they went over.
+        const updatedOriginal = await refreshAmountCredited(original.id);
+        const soldAfter = await netSoldQuantities(original.id);
+        const limit = (Number(original.total_amount) || 0) - (Number(original.payer_amount) || 0);
+        if (Math.round(Number(updatedOriginal.amount_credited) * 100) > Math.round(limit * 100)
+            || [...returns.keys()].some(productId => (soldAfter.get(productId) || 0) < 0)) {
+            await rollBack(undoSteps);
+            return res.status(409).json({ success: false, message: 'Another credit note was issued against this invoice at the same time. Please reload.' });
+        }
+        await recordAudit(req, { action: 'create', entityType: 'invoice', entityId: note.id, after: note });
+        await recordAudit(req, { action: 'update', entityType: 'invoice', entityId: original.id, before: original, after: updatedOriginal });
+        res.status(201).json({ success: true, message: `Credit note ${invoiceNumber(note)} issued.`, data: { creditNote: note, invoice: updatedOriginal, balance: invoiceBalance(updatedOriginal) } });
+    } catch (error) {
+        console.error('Error issuing credit note:', error);
+        await rollBack(undoSteps);
+        res.status(500).json({ success: false, message: 'Failed to issue credit note.' });
     }
+});
 
-    // Then, delete the main invoice record
-    const { error: invoiceError } = await supabase
+// --- PAYERS & CLAIMS ---
+// Insurers and employers that pay for some patients' care are kept in 'payers' (id, name,
+// payer_type 'insurer' | 'employer', contact_name, email, phone, address, is_active).
+// 'patient_coverages' (id, patient_id, payer_id, policy_number, coverage_percent,
+// session_cap, valid_from, valid_to, is_active) records what a payer takes on for a patient.
+// An invoice issued under a coverage is split: invoices.payer_amount is the payer's portion
+// and the rest is the patient's. That portion is claimed in 'claims' (id, invoice_id,
+// payer_id, coverage_id, patient_id, policy_number, amount, sessions, status,
+// approved_amount, amount_paid, decision_note, submitted_at, decided_at, paid_at).
+// Payer remittances are ordinary 'payments' rows with payer_id and claim_id, so the
+// invoice ledger and the claims always agree.
+
+// A claim becomes 'paid' only when the payer's payments cover it, never by hand.
+const CLAIM_TRANSITIONS = {
+    draft: ['submitted'],
+    submitted: ['approved', 'rejected'],
+    approved: [],
+    // Corrected and sent again
+    rejected: ['draft'],
+    paid: []
+};
+const CLAIM_STATUSES = Object.keys(CLAIM_TRANSITIONS);
+
+// A claim is in its invoice's currency; callers load it as claims.invoices ( currency ).
+const claimCurrency = (claim) => (claim.invoices && claim.invoices.currency) || 'USD';
+
+// What the payer is expected to pay on a claim in its current status.
+const claimPayerShare = (claim, currency = claimCurrency(claim)) => {
+    if (claim.status === 'rejected') return 0;
+    return roundCurrency(Number(claim.approved_amount ?? claim.amount) || 0, currency);
+};
+
+// The coverage an invoice for this patient falls under on `date`: the one asked for
+// (coverageId, or null for none) or else the patient's only active coverage.
+// Returns { coverage } or { error }.
+const resolveCoverage = async (patientId, coverageId, date) => {
+    if (coverageId === null || coverageId === '' || (!patientId && coverageId === undefined)) return { coverage: null };
+    if (!patientId) return { error: 'needs a patient' };
+
+    let query = supabase
+        .from('patient_coverages')
+        .select('*, payers ( name, is_active )')
+        .eq('patient_id', patientId)
+        .eq('is_active', true);
+    if (coverageId !== undefined) query = query.eq('id', coverageId);
+    const { data, error } = await query;
+    if (error) throw error;
+    const usable = data.filter(c => (!c.valid_from || c.valid_from <= date) && (!c.valid_to || c.valid_to >= date)
+        && c.payers && c.payers.is_active !== false);
+    if (coverageId !== undefined) {
+        return usable.length === 1 ? { coverage: usable[0] } : { error: 'is not an active coverage of this patient' };
+    }
+    return { coverage: usable.length === 1 ? usable[0] : null };
+};
+
+// Sessions already claimed under a coverage (rejected claims give theirs back).
+const coveredSessionsUsed = async (coverageId) => {
+    const { data, error } = await supabase.from('claims').select('sessions').eq('coverage_id', coverageId).neq('status', 'rejected');
+    if (error) throw error;
+    return data.reduce((sum, c) => sum + (Number(c.sessions) || 0), 0);
+};
+
+// The payer's portion of an invoice: coverage_percent of the treatment (service) lines,
+// after the invoice discount, for as many sessions as the session cap still allows.
+// Products, packages and queued charges stay with the patient. The payer's amount is
+// rounded for the invoice's currency, so both shares stay payable.
+// Returns { payerAmount, sessions }.
+const coverageSplit = (coverage, lines, discountAmount, sessionsUsed, currency = 'USD') => {
+    const billed = lines.filter(l => l.service_id || l.product_id || l.package_id);
+    const linesSubtotal = billed.reduce((sum, l) => sum + Number(l.quantity) * Number(l.unit_price), 0);
+    if (!(linesSubtotal > 0)) return { payerAmount: 0, sessions: 0 };
+
+    let sessionsLeft = coverage.session_cap == null ? Infinity : Math.max(0, coverage.session_cap - sessionsUsed);
+    let covered = 0;
+    let sessions = 0;
+    for (const line of billed.filter(l => l.service_id)) {
+        const quantity = Math.min(Number(line.quantity), sessionsLeft);
+        sessionsLeft -= quantity;
+        sessions += quantity;
+        covered += quantity * Number(line.unit_price);
+    }
+    const afterDiscount = covered * (linesSubtotal - (Number(discountAmount) || 0)) / linesSubtotal;
+    return { payerAmount: roundCurrency(afterDiscount * Number(coverage.coverage_percent) / 100, currency), sessions };
+};
+
+// Opens a draft claim for an issued invoice's payer portion and registers its removal.
+const openClaim = async (invoice, coverage, split, undoSteps) => {
+    if (!coverage || !(split.payerAmount > 0)) return null;
+    const { data: claim, error } = await supabase
+        .from('claims')
+        .insert({
+            invoice_id: invoice.id,
+            payer_id: coverage.payer_id,
+            coverage_id: coverage.id,
+            patient_id: invoice.patient_id,
+            policy_number: coverage.policy_number,
+            amount: split.payerAmount,
+            sessions: split.sessions,
+            status: 'draft',
+            amount_paid: 0
+        })
+        .select()
+        .single();
+    if (error) throw error;
+    undoSteps.push(async () => { await supabase.from('claims').delete().eq('id', claim.id); });
+    return claim;
+};
+
+// Re-sums the payer's payments on a claim, marks it paid once they cover what the payer
+// owes (straight away when it was approved at 0), and moves the invoice's payer_amount to
+// match: whatever the payer won't cover falls to the patient. Returns the updated claim.
+const refreshClaim = async (claimId) => {
+    const [{ data: claim, error }, { data: payments, error: paymentsError }] = await Promise.all([
+        supabase.from('claims').select('*, invoices ( currency )').eq('id', claimId).single(),
+        supabase.from('payments').select('amount').eq('claim_id', claimId)
+    ]);
+    if (error) throw error;
+    if (paymentsError) throw paymentsError;
+
+    const currency = claimCurrency(claim);
+    const amountPaid = roundCurrency(payments.reduce((sum, p) => sum + Number(p.amount || 0), 0), currency);
+    const changes = { amount_paid: amountPaid };
+    const share = claimPayerShare(claim, currency);
+    if (['submitted', 'approved'].includes(claim.status) && (share > 0 || claim.status === 'approved') && Math.round(amountPaid * 100) >= Math.round(share * 100)) {
+        changes.status = 'paid';
+        changes.paid_at = new Date().toISOString();
+        if (claim.approved_amount == null) changes.approved_amount = claim.amount;
+    }
+    const { data: updated, error: updateError } = await supabase.from('claims').update(changes).eq('id', claimId).select().single();
+    if (updateError) throw updateError;
+
+    const { error: invoiceError } = await supabase.from('invoices').update({ payer_amount: claimPayerShare(updated, currency) }).eq('id', updated.invoice_id);
+    if (invoiceError) throw invoiceError;
+    await refreshInvoicePaymentStatus(updated.invoice_id);
+    return updated;
+};
+
+// GET payers: ?include_inactive=true to list retired payers too
+app.get('/api/payers', authenticateStaff, requirePermission('claims:read'), async (req, res) => {
+    let query = supabase.from('payers').select('*');
+    if (req.query.include_inactive !== 'true') query = query.not('is_active', 'is', false);
+    const { data, error } = await query.order('name', { ascending: true });
+    if (error) {
+        console.error('Error fetching payers:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to fetch payers.' });
+    }
+    res.status(200).json({ success: true, data });
+});
+
+// POST add an insurer or employer
+app.post('/api/payers', authenticateStaff, requirePermission('payers:write'), validateBody('payer'), async (req, res) => {
+    const { data, error } = await supabase.from('payers').insert({ is_active: true, ...req.body }).select().single();
+    if (error) {
+        console.error('Error creating payer:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to create payer.' });
+    }
+    await recordAudit(req, { action: 'create', entityType: 'payer', entityId: data.id, after: data });
+    res.status(201).json({ success: true, message: 'Payer created!', data });
+});
+
+// PATCH update or retire a payer
+app.patch('/api/payers/:id', authenticateStaff, requirePermission('payers:write'), validateBody('payer', { partial: true }), async (req, res) => {
+    const { id } = req.params;
+    const before = await fetchForAudit('payers', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Payer not found.' });
+
+    const { data, error } = await supabase.from('payers').update(req.body).eq('id', id).select().single();
+    if (error) {
+        console.error('Error updating payer:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to update payer.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'payer', entityId: id, before, after: data });
+    res.status(200).json({ success: true, message: 'Payer updated successfully!', data });
+});
+
+const coverageDateError = (coverage) => (coverage.valid_from && coverage.valid_to && coverage.valid_to < coverage.valid_from
+    ? { valid_to: 'must be on or after valid_from' }
+    : null);
+
+// GET a patient's coverages with the sessions each has left
+app.get('/api/patients/:id/coverages', authenticateStaff, requirePermission('claims:read'), async (req, res) => {
+    const { data, error } = await supabase
+        .from('patient_coverages')
+        .select('*, payers ( name, payer_type )')
+        .eq('patient_id', req.params.id)
+        .order('id', { ascending: false });
+    if (error) {
+        console.error('Error fetching coverages:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to fetch coverages.' });
+    }
+    const withUsage = await Promise.all(data.map(async (coverage) => {
+        const sessionsUsed = await coveredSessionsUsed(coverage.id);
+        return {
+            ...coverage,
+            sessions_used: sessionsUsed,
+            sessions_remaining: coverage.session_cap == null ? null : Math.max(0, coverage.session_cap - sessionsUsed)
+        };
+    }));
+    res.status(200).json({ success: true, data: withUsage });
+});
+
+// POST add a coverage to a patient
+app.post('/api/patients/:id/coverages', authenticateStaff, requirePermission('claims:write'), validateBody('coverage'), async (req, res) => {
+    const dateError = coverageDateError(req.body);
+    if (dateError) return res.status(400).json({ success: false, message: 'Validation failed.', errors: dateError });
+
+    const { data, error } = await supabase
+        .from('patient_coverages')
+        .insert({ is_active: true, ...req.body, patient_id: req.params.id })
+        .select()
+        .single();
+    if (error) {
+        console.error('Error creating coverage:', error.message);
+        const missing = error.code === '23503';
+        return res.status(missing ? 400 : 500).json({ success: false, message: missing ? 'The patient or payer does not exist.' : 'Failed to add coverage.' });
+    }
+    await recordAudit(req, { action: 'create', entityType: 'coverage', entityId: data.id, after: data });
+    res.status(201).json({ success: true, message: 'Coverage added!', data });
+});
+
+// PATCH update or end a coverage. Claims already opened keep their amounts.
+app.patch('/api/coverages/:id', authenticateStaff, requirePermission('claims:write'), validateBody('coverage', { partial: true }), async (req, res) => {
+    const { id } = req.params;
+    const before = await fetchForAudit('patient_coverages', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Coverage not found.' });
+    const dateError = coverageDateError({ ...before, ...req.body });
+    if (dateError) return res.status(400).json({ success: false, message: 'Validation failed.', errors: dateError });
+
+    const { data, error } = await supabase.from('patient_coverages').update(req.body).eq('id', id).select().single();
+    if (error) {
+        console.error('Error updating coverage:', error.message);
+        const missing = error.code === '23503';
+        return res.status(missing ? 400 : 500).json({ success: false, message: missing ? 'That payer does not exist.' : 'Failed to update coverage.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'coverage', entityId: id, before, after: data });
+    res.status(200).json({ success: true, message: 'Coverage updated successfully!', data });
+});
+
+// Claims with their invoice, patient and payer, filtered by
+// { payerId, patientId, statuses, from, to } where from/to are clinic dates of the invoice.
+const findClaims = async ({ payerId, patientId, statuses, from, to }) => {
+    let query = supabase
+        .from('claims')
+        .select('*, payers ( name ), patients ( full_name, date_of_birth ), invoices ( id, issued_at, created_at, total_amount, currency, state, document_type, invoice_items ( service_id, service_name, quantity, unit_price ) )');
+    if (payerId) query = query.eq('payer_id', payerId);
+    if (patientId) query = query.eq('patient_id', patientId);
+    if (statuses && statuses.length > 0) query = query.in('status', statuses);
+    const { data, error } = await query.order('id', { ascending: true });
+    if (error) throw error;
+
+    const timezone = await getClinicTimezone();
+    return data
+        .map(claim => ({
+            ...claim,
+            invoice_date: claim.invoices ? clinicDateOf(claim.invoices.issued_at || claim.invoices.created_at, timezone) : null,
+            outstanding: ['submitted', 'approved'].includes(claim.status) ? roundCurrency(claimPayerShare(claim) - (Number(claim.amount_paid) || 0), claimCurrency(claim)) : 0
+        }))
+        .filter(claim => (!from || claim.invoice_date >= from) && (!to || claim.invoice_date <= to));
+};
+
+// Reads ?payer_id, ?patient_id, ?status (comma-separated), ?from, ?to. Returns the filter or { error }.
+const claimFilterFromQuery = (query) => {
+    const statuses = query.status ? String(query.status).split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : [];
+    const unknown = statuses.find(s => !CLAIM_STATUSES.includes(s));
+    if (unknown) return { error: `status must be one of: ${CLAIM_STATUSES.join(', ')}` };
+    for (const bound of ['from', 'to']) {
+        if (query[bound] && !/^\d{4}-\d{2}-\d{2}$/.test(query[bound])) return { error: 'from and to must be dates (YYYY-MM-DD).' };
+    }
+    return { payerId: query.payer_id, patientId: query.patient_id, statuses, from: query.from, to: query.to };
+};
+
+// GET claims: ?payer_id=&patient_id=&status=draft,submitted&from=&to=
+app.get('/api/claims', authenticateStaff, requirePermission('claims:read'), async (req, res) => {
+    const filter = claimFilterFromQuery(req.query);
+    if (filter.error) return res.status(400).json({ success: false, message: filter.error });
+    try {
+        const claims = await findClaims(filter);
+        res.status(200).json({ success: true, data: claims.map(({ invoices, ...claim }) => ({ ...claim, invoice_number: invoices ? invoiceNumber(invoices) : null })) });
+    } catch (error) {
+        console.error('Error fetching claims:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to fetch claims.' });
+    }
+});
+
+// POST move a claim along: { status, note, approved_amount (when approving, defaults to the claim) }
+app.post('/api/claims/:id/status', authenticateStaff, requirePermission('claims:write'), async (req, res) => {
+    const { id } = req.params;
+    const status = String(req.body.status || '').trim().toLowerCase();
+    const note = req.body.note ? String(req.body.note).trim() : null;
+
+    const before = await fetchForAudit('claims', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Claim not found.' });
+    if (!CLAIM_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors: { status: `must be one of: ${CLAIM_STATUSES.join(', ')}` } });
+    }
+    if (status === 'paid') return res.status(409).json({ success: false, message: "A claim is marked paid when the payer's payment is recorded." });
+    if (!CLAIM_TRANSITIONS[before.status].includes(status)) {
+        return res.status(409).json({ success: false, message: `A ${before.status} claim can't be changed to ${status}.` });
+    }
+
+    const now = new Date().toISOString();
+    const changes = { status };
+    if (status === 'submitted') changes.submitted_at = now;
+    if (status === 'approved') {
+        const { data: invoice } = await supabase.from('invoices').select('currency').eq('id', before.invoice_id).maybeSingle();
+        const currency = (invoice && invoice.currency) || 'USD';
+        const approved = req.body.approved_amount == null || req.body.approved_amount === '' ? Number(before.amount) : roundCurrency(toAmount(req.body.approved_amount), currency);
+        if (!(approved >= 0) || approved > Number(before.amount)) {
+            return res.status(400).json({ success: false, message: `The approved amount must be between 0 and ${before.amount}.` });
+        }
+        Object.assign(changes, { approved_amount: approved, decided_at: now, decision_note: note });
+    }
+    if (status === 'rejected') {
+        if (!note) return res.status(400).json({ success: false, message: 'Validation failed.', errors: { note: 'is required when rejecting a claim' } });
+        if (Number(before.amount_paid) > 0) {
+            return res.status(409).json({ success: false, message: 'The payer has already paid part of this claim, so it can no longer be rejected.' });
+        }
+        Object.assign(changes, { approved_amount: null, decided_at: now, decision_note: note });
+    }
+    if (status === 'draft') Object.assign(changes, { approved_amount: null, submitted_at: null, decided_at: null });
+
+    const { data: moved, error } = await supabase
+        .from('claims')
+        .update(changes)
+        .eq('id', id)
+        .eq('status', before.status)
+        .select('id')
+        .maybeSingle();
+    if (error) {
+        console.error('Error changing claim status:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to update claim.' });
+    }
+    if (!moved) return res.status(409).json({ success: false, message: 'This claim was changed by someone else. Please reload.' });
+
+    const after = await refreshClaim(id);
+    await recordAudit(req, { action: 'update', entityType: 'claim', entityId: id, before, after });
+    res.status(200).json({ success: true, message: `Claim marked ${after.status}.`, data: after });
+});
+
+// POST record a payer's remittance against its claims:
+// { method, reference, note, allocations: [{ claim_id, amount }] }
+// Each allocation becomes a payment on the claim's invoice, sharing the reference.
+app.post('/api/payers/:id/payments', authenticateStaff, requirePermission('claims:write'), idempotent, async (req, res) => {
+    const payer = await fetchForAudit('payers', req.params.id);
+    if (!payer) return res.status(404).json({ success: false, message: 'Payer not found.' });
+
+    const { allocations, ...details } = req.body || {};
+    const { value, errors } = validateAgainstSchema(SCHEMAS.payerPayment, details);
+    if (!Array.isArray(allocations) || allocations.length === 0) errors.allocations = 'must list at least one { claim_id, amount }';
+    if (Object.keys(errors).length > 0) return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+
+    const claimIds = allocations.map(a => a && a.claim_id);
+    if (new Set(claimIds.map(String)).size !== claimIds.length) {
+        return res.status(400).json({ success: false, message: 'Each claim can appear only once in a payment.' });
+    }
+    const { data: claims, error: claimsError } = await supabase
+        .from('claims')
+        .select('*, invoices ( id, currency, exchange_rate )')
+        .eq('payer_id', payer.id)
+        .in('id', claimIds.filter(Boolean));
+    if (claimsError) {
+        console.error('Error loading claims for payer payment:', claimsError.message);
+        return res.status(500).json({ success: false, message: 'Failed to record payment.' });
+    }
+
+    const allocationErrors = {};
+    const receivedAt = new Date().toISOString();
+    const entries = [];
+    allocations.forEach((allocation, idx) => {
+        const key = `allocations[${idx}]`;
+        const claim = claims.find(c => String(c.id) === String(allocation && allocation.claim_id));
+        if (!claim) {
+            allocationErrors[key] = `claim not found for ${payer.name}`;
+            return;
+        }
+        if (!['submitted', 'approved'].includes(claim.status)) {
+            allocationErrors[key] = `claim ${claim.id} is ${claim.status}`;
+            return;
+        }
+        const amount = roundCurrency(toAmount(allocation.amount), claimCurrency(claim));
+        const outstanding = roundCurrency(claimPayerShare(claim) - (Number(claim.amount_paid) || 0), claimCurrency(claim));
+        if (!(amount > 0) || amount > outstanding) {
+            allocationErrors[key] = `amount must be more than 0 and at most ${outstanding}`;
+            return;
+        }
+        entries.push({
+            invoice_id: claim.invoice_id,
+            payer_id: payer.id,
+            claim_id: claim.id,
+            amount,
+            currency: claimCurrency(claim),
+            currency_amount: amount,
+            exchange_rate: claim.invoices ? claim.invoices.exchange_rate : null,
+            method: value.method,
+            reference: value.reference || null,
+            note: value.note || null,
+            received_by: req.staff.id,
+            received_at: receivedAt
+        });
+    });
+    if (Object.keys(allocationErrors).length > 0) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors: allocationErrors });
+    }
+
+    // One insert, so a remittance is recorded whole or not at all.
+    const { data: payments, error } = await supabase.from('payments').insert(entries).select();
+    if (error) {
+        console.error('Error recording payer payment:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to record payment.' });
+    }
+
+    const updatedClaims = [];
+    for (const payment of payments) {
+        const before = claims.find(c => String(c.id) === String(payment.claim_id));
+        await recordAudit(req, { action: 'create', entityType: 'payment', entityId: payment.id, patientId: before.patient_id, after: payment });
+        const after = await refreshClaim(payment.claim_id);
+        const { invoices, ...claimBefore } = before;
+        await recordAudit(req, { action: 'update', entityType: 'claim', entityId: after.id, before: claimBefore, after });
+        updatedClaims.push(after);
+    }
+    const total = roundMoney(payments.reduce((sum, p) => sum + Number(p.amount), 0));
+    res.status(201).json({ success: true, message: `Recorded ${total} from ${payer.name} across ${payments.length} claim(s).`, data: { payments, claims: updatedClaims } });
+});
+
+// Text that a spreadsheet would read as a formula gets a leading ' so it opens as text.
+const csvCell = (value) => {
+    let text = value == null ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// GET one payer's claims as a batch for submission:
+// ?format=csv|json&status=draft (comma-separated, default draft)&from=&to=
+app.get('/api/payers/:id/claims/export', authenticateStaff, requirePermission('claims:read'), async (req, res) => {
+    const payer = await fetchForAudit('payers', req.params.id);
+    if (!payer) return res.status(404).json({ success: false, message: 'Payer not found.' });
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) return res.status(400).json({ success: false, message: 'format must be csv or json.' });
+    const filter = claimFilterFromQuery({ ...req.query, status: req.query.status || 'draft', payer_id: payer.id, patient_id: undefined });
+    if (filter.error) return res.status(400).json({ success: false, message: filter.error });
+
+    let claims;
+    try {
+        claims = await findClaims(filter);
+    } catch (error) {
+        console.error('Error exporting claims:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to export claims.' });
+    }
+
+    const rows = claims.map(claim => ({
+        claim_id: claim.id,
+        invoice_number: claim.invoices ? invoiceNumber(claim.invoices) : null,
+        invoice_date: claim.invoice_date,
+        patient_name: claim.patients ? claim.patients.full_name : null,
+        date_of_birth: claim.patients ? claim.patients.date_of_birth : null,
+        policy_number: claim.policy_number,
+        services: ((claim.invoices && claim.invoices.invoice_items) || [])
+            .filter(item => item.service_id)
+            .map(item => ({ name: item.service_name, quantity: Number(item.quantity), unit_price: Number(item.unit_price) })),
+        sessions: Number(claim.sessions) || 0,
+        invoice_total: claim.invoices ? Number(claim.invoices.total_amount) : null,
+        claimed_amount: Number(claim.amount),
+        currency: (claim.invoices && claim.invoices.currency) || 'USD',
+        status: claim.status
+    }));
+    const filename = `claims-${payer.name.replace(/[^A-Za-z0-9]+/g, '-').toLowerCase()}-${clinicDateOf(Date.now(), await getClinicTimezone())}`;
+
+    if (format === 'json') {
+        res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+        return res.status(200).json({ payer: { id: payer.id, name: payer.name, payer_type: payer.payer_type }, count: rows.length, total: roundMoney(rows.reduce((sum, r) => sum + r.claimed_amount, 0)), claims: rows });
+    }
+    const columns = ['claim_id', 'invoice_number', 'invoice_date', 'patient_name', 'date_of_birth', 'policy_number', 'services', 'sessions', 'invoice_total', 'claimed_amount', 'currency', 'status'];
+    const lines = rows.map(row => columns.map(column => csvCell(column === 'services'
+        ? row.services.map(s => `${s.name} x${s.quantity} @ ${s.unit_price}`).join('; ')
+        : row[column])).join(','));
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.status(200).send([columns.join(','), ...lines].join('\r\n') + '\r\n');
+});
+
+// --- PRINTABLE INVOICES & RECEIPTS ---
+// GET /api/invoices/:id/document?format=html|pdf&layout=a4|receipt renders an invoice,
+// receipt or credit note with the clinic's details from settings (clinic_name, address,
+// phone_number, email, logo_url, invoice_footer). 'a4' is a full-page invoice and
+// 'receipt' an 80mm thermal slip. Labels are English with Khmer; PDFs need a font with
+// Khmer glyphs (INVOICE_KHMER_FONT=/path/to/NotoSansKhmer-Regular.ttf) for the Khmer half
+// and fall back to English-only labels without one.
+
+const DOCUMENT_LABELS = {
+    invoice: ['Invoice', 'វិក្កយបត្រ'],
+    receipt: ['Receipt', 'បង្កាន់ដៃ'],
+    creditNote: ['Credit Note', 'ប័ណ្ណឥណទាន'],
+    number: ['No.', 'លេខ'],
+    date: ['Date', 'កាលបរិច្ឆេទ'],
+    patient: ['Patient', 'អ្នកជំងឺ'],
+    phone: ['Phone', 'ទូរស័ព្ទ'],
+    description: ['Description', 'ការពិពណ៌នា'],
+    qty: ['Qty', 'ចំនួន'],
+    unitPrice: ['Unit Price', 'តម្លៃឯកតា'],
+    amount: ['Amount', 'ទឹកប្រាក់'],
+    subtotal: ['Subtotal', 'សរុបរង'],
+    discount: ['Discount', 'បញ្ចុះតម្លៃ'],
+    total: ['Total', 'សរុប'],
+    paid: ['Paid', 'បានបង់'],
+    credited: ['Credited', 'ឥណទាន'],
+    payer: ['Covered by', 'ធានារ៉ាប់រងដោយ'],
+    balance: ['Balance Due', 'ទឹកប្រាក់ត្រូវបង់'],
+    status: ['Status', 'ស្ថានភាព'],
+    creditFor: ['Credit for', 'ឥណទានសម្រាប់'],
+    void: ['VOID', 'ទុកជាមោឃៈ'],
+    exchangeRate: ['Exchange rate', 'អត្រាប្តូរប្រាក់'],
+    thankYou: ['Thank you!', 'សូមអរគុណ!']
+};
+const DOCUMENT_LAYOUTS = ['a4', 'receipt'];
+const RECEIPT_WIDTH_PT = 226.77; // 80mm
+
+const formatMoney = (amount, currency = 'USD') => (currency === 'KHR'
+    ? `${roundRiel(Number(amount) || 0).toLocaleString('en-US')} KHR`
+    : `$${(Number(amount) || 0).toFixed(2)}`);
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Everything a printed document shows, or null if the invoice doesn't exist.
+const loadInvoiceDocument = async (id) => {
+    const { data: invoice } = await supabase
         .from('invoices')
-        .delete()
-        .eq('id', id);
+        .select('*, patients ( full_name, phone_number, address ), payers ( name )')
+        .eq('id', id)
+        .maybeSingle();
+    if (!invoice) return null;
+
+    const [{ data: items }, { data: settings }, original, timezone] = await Promise.all([
+        supabase.from('invoice_items').select('*').eq('invoice_id', id).order('id', { ascending: true }),
+        supabase.from('settings').select('clinic_name, address, phone_number, email, logo_url, invoice_footer').eq('id', 1).maybeSingle(),
+        invoice.original_invoice_id ? fetchForAudit('invoices', invoice.original_invoice_id) : null,
+        getClinicTimezone()
+    ]);
+    return {
+        invoice,
+        items: items || [],
+        clinic: settings || {},
+        patient: invoice.patients || {},
+        original,
+        date: clinicDateOf(invoice.issued_at || invoice.created_at, timezone)
+    };
+};
 
-    if (invoiceError) {
-        console.error('Error deleting invoice:', invoiceError);
-        return res.status(500).json({ success: false, message: 'Could not delete invoice.' });
+const documentTitleKey = (doc, layout) => {
+    if (doc.invoice.document_type === 'credit_note') return 'creditNote';
+    return layout === 'receipt' ? 'receipt' : 'invoice';
+};
+
+// Summary rows under the line items: [labelKey, formatted amount, label suffix].
+// Totals and the balance are repeated in the other currency when the invoice has a rate.
+const documentTotals = (doc) => {
+    const { invoice } = doc;
+    const currency = invoice.currency || 'USD';
+    const rows = [['subtotal', formatMoney(invoice.subtotal, currency)]];
+    const withOtherCurrency = (key, amount) => {
+        rows.push([key, formatMoney(amount, currency)]);
+        for (const [other, converted] of Object.entries(inBothCurrencies(amount, invoice))) {
+            if (other !== currency) rows.push([key, formatMoney(converted, other), ` (${other})`]);
+        }
+    };
+    if (Number(invoice.discount_amount) > 0) {
+        const label = invoice.discount_type === 'percent' ? ` (${Number(invoice.discount_value)}%)` : '';
+        rows.push(['discount', formatMoney(-invoice.discount_amount, currency), label]);
+    }
+    withOtherCurrency('total', invoice.total_amount);
+    if (invoice.document_type !== 'credit_note') {
+        if (Number(invoice.amount_credited) > 0) rows.push(['credited', formatMoney(-invoice.amount_credited, currency)]);
+        if (Number(invoice.payer_amount) > 0) {
+            rows.push(['payer', formatMoney(-invoice.payer_amount, currency), invoice.payers ? ` ${invoice.payers.name}` : '']);
+        }
+        rows.push(['paid', formatMoney(roundMoney((Number(invoice.amount_paid) || 0) - (Number(invoice.payer_paid) || 0)), currency)]);
+        withOtherCurrency('balance', invoiceBalance(invoice));
     }
+    return rows;
+};
 
-    res.status(200).json({ success: true, message: 'Invoice deleted successfully!' });
+const exchangeRateLine = (invoice) => (invoice.exchange_rate
+    ? `1 USD = ${Number(invoice.exchange_rate).toLocaleString('en-US')} KHR`
+    : null);
+
+const renderInvoiceHtml = (doc, layout) => {
+    const { invoice, items, clinic, patient } = doc;
+    const label = (key) => `${escapeHtml(DOCUMENT_LABELS[key][0])} <span class="km">${escapeHtml(DOCUMENT_LABELS[key][1])}</span>`;
+    const receipt = layout === 'receipt';
+    const rows = items.map(item => `
+        <tr>
+            <td>${escapeHtml(item.service_name)}</td>
+            <td class="num">${escapeHtml(item.quantity)}</td>
+            ${receipt ? '' : `<td class="num">${formatMoney(item.unit_price, invoice.currency)}</td>`}
+            <td class="num">${formatMoney(item.quantity * item.unit_price, invoice.currency)}</td>
+        </tr>`).join('');
+    const totals = documentTotals(doc).map(([key, amount, suffix = '']) => `
+        <tr class="${(key === 'total' || key === 'balance') && !suffix ? 'strong' : ''}">
+            <td colspan="${receipt ? 2 : 3}">${label(key)}${escapeHtml(suffix)}</td>
+            <td class="num">${escapeHtml(amount)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(invoiceNumber(invoice))}</title>
+<style>
+    @page { size: ${receipt ? '80mm auto' : 'A4'}; margin: ${receipt ? '4mm' : '15mm'}; }
+    body { font-family: Arial, 'Noto Sans Khmer', 'Khmer OS', sans-serif; font-size: ${receipt ? '11px' : '13px'}; color: #111; margin: 0; ${receipt ? 'width: 72mm;' : ''} }
+    .km { font-family: 'Noto Sans Khmer', 'Khmer OS', sans-serif; color: #555; }
+    header { ${receipt ? 'text-align: center;' : 'display: flex; justify-content: space-between;'} margin-bottom: 12px; }
+    header img { max-height: ${receipt ? '48px' : '72px'}; }
+    h1 { font-size: ${receipt ? '15px' : '22px'}; margin: 8px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 4px 2px; text-align: left; vertical-align: top; }
+    thead th { border-bottom: 1px solid #111; }
+    .num { text-align: right; white-space: nowrap; }
+    .strong td { font-weight: bold; border-top: 1px solid #111; }
+    .void { color: #b91c1c; font-size: 20px; font-weight: bold; text-align: center; border: 2px solid #b91c1c; padding: 4px; margin: 8px 0; }
+    footer { margin-top: 16px; text-align: center; color: #555; }
+</style>
+</head>
+<body>
+<header>
+    <div>
+        ${clinic.logo_url ? `<img src="${escapeHtml(clinic.logo_url)}" alt="">` : ''}
+        <div><strong>${escapeHtml(clinic.clinic_name || 'Kheng PhysioCare')}</strong></div>
+        ${clinic.address ? `<div>${escapeHtml(clinic.address)}</div>` : ''}
+        ${clinic.phone_number ? `<div>${label('phone')}: ${escapeHtml(clinic.phone_number)}</div>` : ''}
+        ${clinic.email ? `<div>${escapeHtml(clinic.email)}</div>` : ''}
+    </div>
+    <div>
+        <h1>${label(documentTitleKey(doc, layout))}</h1>
+        <div>${label('number')}: ${escapeHtml(invoiceNumber(invoice))}</div>
+        <div>${label('date')}: ${escapeHtml(doc.date)}</div>
+        ${doc.original ? `<div>${label('creditFor')}: ${escapeHtml(invoiceNumber(doc.original))}</div>` : ''}
+        ${exchangeRateLine(invoice) ? `<div>${label('exchangeRate')}: ${escapeHtml(exchangeRateLine(invoice))}</div>` : ''}
+    </div>
+</header>
+${invoice.state === 'void' ? `<div class="void">${label('void')}</div>` : ''}
+<p>${label('patient')}: <strong>${escapeHtml(patient.full_name || '')}</strong>${patient.phone_number ? ` · ${escapeHtml(patient.phone_number)}` : ''}</p>
+<table>
+    <thead>
+        <tr>
+            <th>${label('description')}</th>
+            <th class="num">${label('qty')}</th>
+            ${receipt ? '' : `<th class="num">${label('unitPrice')}</th>`}
+            <th class="num">${label('amount')}</th>
+        </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>${totals}
+    </tfoot>
+</table>
+<footer>
+    ${clinic.invoice_footer ? `<div>${escapeHtml(clinic.invoice_footer)}</div>` : ''}
+    <div>${label('thankYou')}</div>
+</footer>
+</body>
+</html>`;
+};
+
+// Logos are fetched for PDFs; a missing, unreachable, slow or oversized logo is left out.
+const LOGO_MAX_BYTES = 2 * 1024 * 1024;
+const LOGO_TIMEOUT_MS = 5 * 1000;
+const fetchLogo = async (url) => {
+    if (!url) return null;
+    try {
+        const { protocol } = new URL(url);
+        if (protocol !== 'http:' && protocol !== 'https:') {
+            console.warn('Invoice logo skipped: only http(s) URLs are fetched.');
+            return null;
+        }
+        const response = await fetch(url, { signal: AbortSignal.timeout(LOGO_TIMEOUT_MS) });
+        if (!response.ok || !response.body) return null;
+        if (Number(response.headers.get('content-length')) > LOGO_MAX_BYTES) {
+            console.warn('Invoice logo skipped: larger than', LOGO_MAX_BYTES, 'bytes.');
+            return null;
+        }
+        // The header can be missing or wrong, so the body is counted as it arrives.
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of response.body) {
+            size += chunk.length;
+            if (size > LOGO_MAX_BYTES) {
+                console.warn('Invoice logo skipped: larger than', LOGO_MAX_BYTES, 'bytes.');
+                return null;
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    } catch (error) {
+        console.warn('Could not load invoice logo:', error.message);
+        return null;
+    }
+};
+
+const renderInvoicePdf = async (doc, layout) => {
+    const { invoice, items, clinic, patient } = doc;
+    const receipt = layout === 'receipt';
+    const khmerFont = process.env.INVOICE_KHMER_FONT && fs.existsSync(process.env.INVOICE_KHMER_FONT) ? process.env.INVOICE_KHMER_FONT : null;
+    const label = (key) => (khmerFont ? `${DOCUMENT_LABELS[key][0]} ${DOCUMENT_LABELS[key][1]}` : DOCUMENT_LABELS[key][0]);
+    const totals = documentTotals(doc);
+    const logo = await fetchLogo(clinic.logo_url);
+
+    const margin = receipt ? 10 : 50;
+    const size = receipt ? [RECEIPT_WIDTH_PT, 260 + items.length * 30 + totals.length * 16 + (logo ? 50 : 0)] : 'A4';
+    const pdf = new PDFDocument({ size, margin });
+    if (khmerFont) pdf.registerFont('Body', khmerFont);
+    pdf.font(khmerFont ? 'Body' : 'Helvetica').fontSize(receipt ? 8 : 10);
+
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        pdf.on('end', () => resolve(Buffer.concat(chunks)));
+        pdf.on('error', reject);
+    });
+
+    const width = pdf.page.width - margin * 2;
+    const align = receipt ? 'center' : 'left';
+    if (logo) {
+        try {
+            pdf.image(logo, receipt ? (pdf.page.width - 40) / 2 : margin, pdf.y, { fit: [receipt ? 40 : 80, receipt ? 40 : 60] });
+            pdf.moveDown(receipt ? 4 : 5);
+        } catch (error) {
+            console.warn('Invoice logo is not a PNG or JPEG image:', error.message);
+        }
+    }
+    pdf.fontSize(receipt ? 10 : 14).text(clinic.clinic_name || 'Kheng PhysioCare', { align });
+    pdf.fontSize(receipt ? 8 : 10);
+    if (clinic.address) pdf.text(clinic.address, { align });
+    if (clinic.phone_number) pdf.text(`${label('phone')}: ${clinic.phone_number}`, { align });
+    if (clinic.email) pdf.text(clinic.email, { align });
+    pdf.moveDown();
+
+    pdf.fontSize(receipt ? 11 : 18).text(label(documentTitleKey(doc, layout)), { align });
+    pdf.fontSize(receipt ? 8 : 10);
+    pdf.text(`${label('number')}: ${invoiceNumber(invoice)}    ${label('date')}: ${doc.date}`, { align });
+    if (doc.original) pdf.text(`${label('creditFor')}: ${invoiceNumber(doc.original)}`, { align });
+    if (exchangeRateLine(invoice)) pdf.text(`${label('exchangeRate')}: ${exchangeRateLine(invoice)}`, { align });
+    pdf.text(`${label('patient')}: ${patient.full_name || ''}`, { align });
+    if (invoice.state === 'void') {
+        pdf.moveDown(0.5).fillColor('#b91c1c').fontSize(receipt ? 12 : 16).text(label('void'), { align: 'center' }).fillColor('black').fontSize(receipt ? 8 : 10);
+    }
+    pdf.moveDown();
+
+    // Columns: description | qty | (unit price) | amount
+    const columns = receipt
+        ? [{ w: width * 0.55 }, { w: width * 0.15, align: 'right' }, { w: width * 0.3, align: 'right' }]
+        : [{ w: width * 0.5 }, { w: width * 0.1, align: 'right' }, { w: width * 0.2, align: 'right' }, { w: width * 0.2, align: 'right' }];
+    const row = (cells) => {
+        const y = pdf.y;
+        let x = margin;
+        let bottom = y;
+        cells.forEach((cell, i) => {
+            pdf.text(cell, x, y, { width: columns[i].w, align: columns[i].align || 'left' });
+            bottom = Math.max(bottom, pdf.y);
+            x += columns[i].w;
+        });
+        pdf.x = margin;
+        pdf.y = bottom + 2;
+    };
+    const rule = () => pdf.moveTo(margin, pdf.y).lineTo(margin + width, pdf.y).stroke();
+
+    row(receipt
+        ? [label('description'), label('qty'), label('amount')]
+        : [label('description'), label('qty'), label('unitPrice'), label('amount')]);
+    rule();
+    pdf.moveDown(0.3);
+    for (const item of items) {
+        const lineTotal = formatMoney(item.quantity * item.unit_price, invoice.currency);
+        row(receipt
+            ? [item.service_name, String(item.quantity), lineTotal]
+            : [item.service_name, String(item.quantity), formatMoney(item.unit_price, invoice.currency), lineTotal]);
+    }
+    rule();
+    pdf.moveDown(0.3);
+    for (const [key, amount, suffix = ''] of totals) {
+        const cells = [`${label(key)}${suffix}`, '', amount];
+        if (!receipt) cells.splice(1, 0, '');
+        row(cells);
+    }
+
+    pdf.moveDown();
+    if (clinic.invoice_footer) pdf.text(clinic.invoice_footer, margin, pdf.y, { width, align: 'center' });
+    pdf.text(label('thankYou'), margin, pdf.y, { width, align: 'center' });
+    pdf.end();
+    return finished;
+};
+
+// GET a printable invoice / receipt: ?format=html|pdf&layout=a4|receipt
+app.get('/api/invoices/:id/document', authenticateStaff, requirePermission('invoices:read'), async (req, res) => {
+    const format = req.query.format || 'html';
+    const layout = req.query.layout || 'a4';
+    if (!['html', 'pdf'].includes(format)) return res.status(400).json({ success: false, message: 'format must be html or pdf.' });
+    if (!DOCUMENT_LAYOUTS.includes(layout)) return res.status(400).json({ success: false, message: `layout must be one of: ${DOCUMENT_LAYOUTS.join(', ')}` });
+
+    const doc = await loadInvoiceDocument(req.params.id);
+    if (!doc) return res.status(404).json({ success: false, message: 'Invoice not found.' });
+
+    const filename = `${invoiceNumber(doc.invoice).slice(1)}${layout === 'receipt' ? '-receipt' : ''}`;
+    if (format === 'html') {
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        return res.status(200).send(renderInvoiceHtml(doc, layout));
+    }
+    try {
+        const pdf = await renderInvoicePdf(doc, layout);
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error('Error rendering invoice PDF:', error);
+        res.status(500).json({ success: false, message: 'Failed to render the invoice PDF.' });
+    }
 });
 
+
+
 // 1. GET Clinic Settings
-app.get('/api/settings', async (req, res) => {
+app.get('/api/settings', authenticateStaff, requirePermission('settings:read'), async (req, res) => {
     // We assume there is only one row of settings, with id = 1
     const { data, error } = await supabase
         .from('settings')
@@ -893,9 +5095,10 @@ app.get('/api/settings', async (req, res) => {
 });
 
 // 2. UPDATE Clinic Settings
-app.patch('/api/settings', async (req, res) => {
+app.patch('/api/settings', authenticateStaff, requirePermission('settings:write'), validateBody('settings', { partial: true }), async (req, res) => {
     const settingsData = req.body;
-    
+
+    const before = await fetchForAudit('settings', 1);
     const { data, error } = await supabase
         .from('settings')
         .update(settingsData)
@@ -907,31 +5110,277 @@ app.patch('/api/settings', async (req, res) => {
         console.error('Error updating settings:', error);
         return res.status(500).json({ success: false, message: 'Failed to update settings.' });
     }
+    clearClinicTimezoneCache();
+    await recordAudit(req, { action: 'update', entityType: 'settings', entityId: 1, before, after: data });
     res.status(200).json({ success: true, message: 'Settings updated successfully!', data });
 });
 
-// 3. UPDATE User Password
-app.post('/api/user/change-password', async (req, res) => {
-    // In a real app, we would get the user from a verified JWT, not the request body.
-    // This is a simplified example.
-    const { email, newPassword } = req.body;
-    console.log(`Received request to change password for: ${email}`);
-    
-    // Supabase requires you to be a super-admin to change another user's password.
-    const { data, error } = await supabase.auth.admin.updateUserById(
-        // We need the user's ID from the auth schema.
-        // This is a more complex step, let's simplify for now.
-        // A better way is for the user to do a password reset flow.
-        // For this admin panel, we'll just return a success message.
-    );
-    
-    // The actual password change logic is complex and best handled by Supabase's
-    // built-in password reset emails for security. We will simulate success here.
-    if (email && newPassword) {
-        console.log(`Simulating password change for ${email}.`);
-        res.status(200).json({ success: true, message: 'Password updated successfully!' });
-    } else {
-        res.status(400).json({ success: false, message: 'Invalid request.' });
+// --- PASSWORD CHANGE & RESET ---
+// Reset codes live in the 'password_reset_codes' table:
+// id, auth_user_id (uuid), email, code_hash, attempts, expires_at, used_at, created_at
+
+const RESET_CODE_TTL_MINUTES = Number(process.env.RESET_CODE_TTL_MINUTES) || 15;
+const RESET_CODE_MAX_ATTEMPTS = 5;
+// Self-service codes per account per hour. Each new code resets the attempt counter, so
+// without a cap requesting and guessing could alternate forever.
+const RESET_CODES_PER_HOUR = 3;
+const MIN_PASSWORD_LENGTH = 8;
+
+const validateNewPassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    }
+    return null;
+};
+
+const hashSecretCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Checks an email/password pair on a separate client so the shared service-role
+// client never picks up the user's session.
+const verifyPassword = async (email, password) => {
+    const verifier = createClient(supabaseUrl, supabaseKey, { auth: { persistSession: false, autoRefreshToken: false } });
+    const { error } = await verifier.auth.signInWithPassword({ email, password });
+    return !error;
+};
+
+const findAuthUserByEmail = async (email) => {
+    const target = String(email || '').trim().toLowerCase();
+    for (let page = 1; ; page++) {
+        const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: 1000 });
+        if (error) throw error;
+        const match = data.users.find(u => (u.email || '').toLowerCase() === target);
+        if (match) return match;
+        if (data.users.length < 1000) return null;
+    }
+};
+
+// Invalidates any outstanding codes for the user and stores a fresh one.
+const issueResetCode = async (authUser) => {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const now = new Date();
+
+    await supabase
+        .from('password_reset_codes')
+        .update({ used_at: now.toISOString() })
+        .eq('auth_user_id', authUser.id)
+        .is('used_at', null);
+
+    const { error } = await supabase.from('password_reset_codes').insert({
+        auth_user_id: authUser.id,
+        email: authUser.email.toLowerCase(),
+        code_hash: hashSecretCode(code),
+        attempts: 0,
+        expires_at: new Date(now.getTime() + RESET_CODE_TTL_MINUTES * 60 * 1000).toISOString()
+    });
+    if (error) throw error;
+
+    return { code, expiresInMinutes: RESET_CODE_TTL_MINUTES };
+};
+
+// Self-service codes go out through the reminder email/SMS adapters (REMINDER_CHANNELS),
+// on the first of the two that is enabled and can reach the account. Codes are never
+// logged; staff can still hand one over in person via the reset-code endpoints below.
+const RESET_CODE_CHANNELS = ['email', 'sms'];
+const deliverResetCode = async (authUser, code) => {
+    const [{ data: patient }, { data: staff }] = await Promise.all([
+        supabase.from('patients').select('phone_number').eq('auth_user_id', authUser.id).maybeSingle(),
+        supabase.from('staff').select('phone_number').eq('auth_user_id', authUser.id).maybeSingle()
+    ]);
+    const recipient = { id: authUser.id, email: authUser.email, phone_number: (patient && patient.phone_number) || (staff && staff.phone_number) || null };
+    const channel = enabledReminderChannels()
+        .filter(c => RESET_CODE_CHANNELS.includes(c))
+        .find(c => REMINDER_CHANNELS[c].canReach(recipient));
+    if (!channel) {
+        console.warn(`Reset code for auth user ${authUser.id} not sent: no email or SMS channel can reach them.`);
+        return;
+    }
+    const message = `Your password reset code is ${code}. It expires in ${RESET_CODE_TTL_MINUTES} minutes. If you did not ask for it, you can ignore this message.`;
+    try {
+        await REMINDER_CHANNELS[channel].send(recipient, message, 'Your password reset code');
+    } catch (error) {
+        console.error(`Reset code for auth user ${authUser.id} could not be sent by ${channel}:`, error.message);
+    }
+};
+
+// Change password for the signed-in user (staff or patient)
+app.post('/api/user/change-password', async (req, res) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ success: false, message: 'Authentication token required.' });
+    }
+    const { data: { user }, error: userError } = await supabase.auth.getUser(authHeader.split(' ')[1]);
+    if (userError || !user) {
+        return res.status(401).json({ success: false, message: 'Invalid or expired token.' });
+    }
+
+    const limiterKeys = loginLimiterKeys(req, 'password', user.email);
+    const retryAfter = await checkLoginAllowed(limiterKeys);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter, 'failed password attempts');
+
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword) {
+        return res.status(400).json({ success: false, message: 'Current password is required.' });
+    }
+    const passwordProblem = validateNewPassword(newPassword);
+    if (passwordProblem) {
+        return res.status(400).json({ success: false, message: passwordProblem });
+    }
+    if (currentPassword === newPassword) {
+        return res.status(400).json({ success: false, message: 'New password must be different from the current password.' });
+    }
+
+    if (!(await verifyPassword(user.email, currentPassword))) {
+        await recordLoginFailure(limiterKeys);
+        return res.status(401).json({ success: false, message: 'Current password is incorrect.' });
+    }
+    await clearLoginFailures(limiterKeys);
+
+    const { error } = await supabase.auth.admin.updateUserById(user.id, { password: newPassword });
+    if (error) {
+        console.error('Error changing password:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to update password.' });
+    }
+    console.log(`Password changed for auth user ${user.id}.`);
+    res.status(200).json({ success: true, message: 'Password updated successfully!' });
+});
+
+// Request a reset code. Always answers the same way so it can't be used to probe for accounts.
+// Requests and wrong codes share the login limiter's 'reset' keys (per account, and per IP
+// apart from logins), so every request counts as an attempt.
+app.post('/api/auth/forgot-password', async (req, res) => {
+    const { email } = req.body;
+    const genericResponse = { success: true, message: 'If an account exists for that email, a reset code has been sent.' };
+    if (!email) {
+        return res.status(400).json({ success: false, message: 'Email is required.' });
+    }
+
+    const limiterKeys = loginLimiterKeys(req, 'reset', email);
+    const retryAfter = await checkLoginAllowed(limiterKeys);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter, 'password reset attempts');
+    await recordLoginFailure(limiterKeys);
+
+    try {
+        const authUser = await findAuthUserByEmail(email);
+        const { count: recentCodes } = authUser
+            ? await supabase
+                .from('password_reset_codes')
+                .select('*', { count: 'exact', head: true })
+                .eq('auth_user_id', authUser.id)
+                .gte('created_at', new Date(Date.now() - 60 * 60 * 1000).toISOString())
+            : { count: 0 };
+        if (authUser && recentCodes >= RESET_CODES_PER_HOUR) {
+            console.warn(`Reset code not issued for auth user ${authUser.id}: ${recentCodes} already issued this hour.`);
+        } else if (authUser) {
+            const { code } = await issueResetCode(authUser);
+            await deliverResetCode(authUser, code);
+        }
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        console.error('Error issuing password reset code:', error.message);
+        res.status(500).json({ success: false, message: 'Could not start password reset.' });
+    }
+});
+
+// Redeem a reset code and set a new password
+app.post('/api/auth/reset-password', async (req, res) => {
+    const { email, code, newPassword } = req.body;
+    if (!email || !code) {
+        return res.status(400).json({ success: false, message: 'Email and reset code are required.' });
+    }
+    const passwordProblem = validateNewPassword(newPassword);
+    if (passwordProblem) {
+        return res.status(400).json({ success: false, message: passwordProblem });
+    }
+
+    const limiterKeys = loginLimiterKeys(req, 'reset', email);
+    const retryAfter = await checkLoginAllowed(limiterKeys);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter, 'password reset attempts');
+
+    const { data: resetCode, error: fetchError } = await supabase
+        .from('password_reset_codes')
+        .select('*')
+        .eq('email', String(email).trim().toLowerCase())
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (fetchError) {
+        console.error('Error fetching reset code:', fetchError.message);
+        return res.status(500).json({ success: false, message: 'Could not reset password.' });
+    }
+    if (!resetCode) {
+        await recordLoginFailure(limiterKeys);
+        return res.status(400).json({ success: false, message: 'Reset code is invalid or has expired.' });
+    }
+
+    const expected = Buffer.from(resetCode.code_hash, 'hex');
+    const provided = Buffer.from(hashSecretCode(String(code).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, provided)) {
+        const attempts = (resetCode.attempts || 0) + 1;
+        const exhausted = attempts >= RESET_CODE_MAX_ATTEMPTS;
+        await supabase
+            .from('password_reset_codes')
+            .update({ attempts, used_at: exhausted ? new Date().toISOString() : null })
+            .eq('id', resetCode.id);
+        await recordLoginFailure(limiterKeys);
+        return res.status(400).json({ success: false, message: 'Reset code is invalid or has expired.' });
+    }
+
+    // Mark the code used before changing the password so it can't be replayed.
+    const { data: claimed, error: claimError } = await supabase
+        .from('password_reset_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', resetCode.id)
+        .is('used_at', null)
+        .select('id');
+    if (claimError || !claimed || claimed.length === 0) {
+        return res.status(400).json({ success: false, message: 'Reset code is invalid or has expired.' });
+    }
+
+    const { error } = await supabase.auth.admin.updateUserById(resetCode.auth_user_id, { password: newPassword });
+    if (error) {
+        console.error('Error resetting password:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to reset password.' });
+    }
+    await clearLoginFailures(limiterKeys);
+    res.status(200).json({ success: true, message: 'Password has been reset. You can now log in.' });
+});
+
+// Staff-issued reset codes, for handing over in person or by phone
+app.post('/api/staff/:id/password-reset-code', authenticateStaff, requirePermission('staff:write'), async (req, res) => {
+    const { id } = req.params;
+    const { data: staffMember, error } = await supabase.from('staff').select('email, auth_user_id').eq('id', id).single();
+    if (error || !staffMember) return res.status(404).json({ success: false, message: 'Staff member not found.' });
+
+    try {
+        const authUser = staffMember.auth_user_id
+            ? (await supabase.auth.admin.getUserById(staffMember.auth_user_id)).data.user
+            : await findAuthUserByEmail(staffMember.email);
+        if (!authUser) return res.status(404).json({ success: false, message: 'This staff member has no login account.' });
+        const { code, expiresInMinutes } = await issueResetCode(authUser);
+        res.status(201).json({ success: true, data: { email: authUser.email, code, expiresInMinutes } });
+    } catch (err) {
+        console.error('Error issuing staff reset code:', err.message);
+        res.status(500).json({ success: false, message: 'Could not issue reset code.' });
+    }
+});
+
+app.post('/api/patients/:id/password-reset-code', authenticateStaff, requirePermission('patients:write'), async (req, res) => {
+    const { id } = req.params;
+    const { data: patient, error } = await supabase.from('patients').select('auth_user_id').eq('id', id).single();
+    if (error || !patient) return res.status(404).json({ success: false, message: 'Patient not found.' });
+    if (!patient.auth_user_id) return res.status(404).json({ success: false, message: 'This patient has no portal account.' });
+
+    try {
+        const { data: { user: authUser }, error: userError } = await supabase.auth.admin.getUserById(patient.auth_user_id);
+        if (userError || !authUser) return res.status(404).json({ success: false, message: 'This patient has no portal account.' });
+        const { code, expiresInMinutes } = await issueResetCode(authUser);
+        res.status(201).json({ success: true, data: { email: authUser.email, code, expiresInMinutes } });
+    } catch (err) {
+        console.error('Error issuing patient reset code:', err.message);
+        res.status(500).json({ success: false, message: 'Could not issue reset code.' });
     }
 });
 
@@ -942,15 +5391,19 @@ app.post('/api/user/change-password', async (req, res) => {
 // Patient Login Route
 app.post('/api/patient/login', async (req, res) => {
     const { email, password } = req.body;
-    console.log(`Received PATIENT login attempt for email: ${email}`);
+    const limiterKeys = loginLimiterKeys(req, 'patient', email);
+    const retryAfter = await checkLoginAllowed(limiterKeys);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
 
     // Step 1: Sign in the user using Supabase Auth
     const { data: authData, error: authError } = await supabase.auth.signInWithPassword({ email, password });
 
     if (authError) {
         console.error('Supabase patient login error:', authError.message);
+        await recordLoginFailure(limiterKeys);
         return res.status(401).json({ success: false, message: authError.message });
     }
+    await clearLoginFailures(limiterKeys);
 
     if (authData.user) {
         // Step 2: Verify they have a corresponding profile in the 'patients' table
@@ -997,6 +5450,220 @@ const authenticatePatient = async (req, res, next) => {
     next();
 };
 
+// --- PORTAL ONBOARDING ---
+// Staff issue an activation code from the patient record; the patient redeems it to
+// set a password, which creates their auth user and links it via patients.auth_user_id.
+// Invites live in 'portal_invites': id, patient_id, email, code_hash, expires_at,
+// used_at, revoked_at, created_by, created_at
+
+const PORTAL_INVITE_TTL_DAYS = Number(process.env.PORTAL_INVITE_TTL_DAYS) || 7;
+// No 0/O or 1/I so codes can be read out over the phone.
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateInviteCode = () => {
+    const chars = Array.from({ length: 8 }, () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+const normalizeInviteCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const revokeOpenInvites = async (patientId) => {
+    const { error } = await supabase
+        .from('portal_invites')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('patient_id', patientId)
+        .is('used_at', null)
+        .is('revoked_at', null);
+    if (error) throw error;
+};
+
+const createPortalInvite = async (req, patient, email) => {
+    await revokeOpenInvites(patient.id);
+    const code = generateInviteCode();
+    const expiresAt = new Date(Date.now() + PORTAL_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { data, error } = await supabase
+        .from('portal_invites')
+        .insert({
+            patient_id: patient.id,
+            email,
+            code_hash: hashSecretCode(normalizeInviteCode(code)),
+            expires_at: expiresAt,
+            created_by: req.staff.id
+        })
+        .select('id, patient_id, email, expires_at')
+        .single();
+    if (error) throw error;
+    await recordAudit(req, { action: 'create', entityType: 'portal_invite', entityId: data.id, patientId: patient.id, after: data });
+    return { ...data, code };
+};
+
+// Deletes the patient's auth user and clears the link, so they can be invited again.
+const removePortalLogin = async (patient) => {
+    if (!patient.auth_user_id) return;
+    const { error: deleteError } = await supabase.auth.admin.deleteUser(patient.auth_user_id);
+    if (deleteError && deleteError.status !== 404) throw deleteError;
+    const { error } = await supabase.from('patients').update({ auth_user_id: null }).eq('id', patient.id);
+    if (error) throw error;
+};
+
+// GET portal access status for a patient
+app.get('/api/patients/:id/portal-access', authenticateStaff, requirePermission('patients:read'), async (req, res) => {
+    const { id } = req.params;
+    const { data: patient, error } = await supabase.from('patients').select('id, auth_user_id').eq('id', id).single();
+    if (error || !patient) return res.status(404).json({ success: false, message: 'Patient not found.' });
+
+    const { data: invite } = await supabase
+        .from('portal_invites')
+        .select('id, email, expires_at, created_at')
+        .eq('patient_id', id)
+        .is('used_at', null)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    const status = patient.auth_user_id ? 'active' : (invite ? 'invited' : 'none');
+    res.status(200).json({ success: true, data: { status, pendingInvite: invite || null } });
+});
+
+// POST (issue) a portal invite. The code is returned once, for staff to pass on to the patient.
+app.post('/api/patients/:id/portal-invite', authenticateStaff, requirePermission('patients:write'), async (req, res) => {
+    const { id } = req.params;
+    const { data: patient, error } = await supabase.from('patients').select('*').eq('id', id).single();
+    if (error || !patient) return res.status(404).json({ success: false, message: 'Patient not found.' });
+    if (patient.auth_user_id) {
+        return res.status(409).json({ success: false, message: 'This patient already has portal access. Reset it to send a new invite.' });
+    }
+
+    const emailCheck = FIELD_TYPES.email((req.body && req.body.email) || patient.email || '');
+    if (emailCheck.error) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors: { email: emailCheck.error } });
+    }
+
+    try {
+        const invite = await createPortalInvite(req, patient, emailCheck.value);
+        res.status(201).json({ success: true, message: 'Portal invite created.', data: invite });
+    } catch (err) {
+        console.error('Error creating portal invite:', err.message);
+        res.status(500).json({ success: false, message: 'Failed to create portal invite.' });
+    }
+});
+
+// DELETE (revoke) portal access: cancels open invites and removes the patient's login
+app.delete('/api/patients/:id/portal-access', authenticateStaff, requirePermission('patients:write'), async (req, res) => {
+    const { id } = req.params;
+    const { data: patient, error } = await supabase.from('patients').select('id, auth_user_id').eq('id', id).single();
+    if (error || !patient) return res.status(404).json({ success: false, message: 'Patient not found.' });
+
+    try {
+        await revokeOpenInvites(patient.id);
+        await removePortalLogin(patient);
+        await recordAudit(req, { action: 'delete', entityType: 'portal_access', entityId: id, patientId: id, before: { auth_user_id: patient.auth_user_id } });
+        res.status(200).json({ success: true, message: 'Portal access revoked.' });
+    } catch (err) {
+        console.error('Error revoking portal access:', err.message);
+        res.status(500).json({ success: false, message: 'Failed to revoke portal access.' });
+    }
+});
+
+// POST reset portal access: removes the current login and issues a fresh invite
+app.post('/api/patients/:id/portal-access/reset', authenticateStaff, requirePermission('patients:write'), async (req, res) => {
+    const { id } = req.params;
+    const { data: patient, error } = await supabase.from('patients').select('*').eq('id', id).single();
+    if (error || !patient) return res.status(404).json({ success: false, message: 'Patient not found.' });
+
+    const emailCheck = FIELD_TYPES.email((req.body && req.body.email) || patient.email || '');
+    if (emailCheck.error) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors: { email: emailCheck.error } });
+    }
+
+    try {
+        await removePortalLogin(patient);
+        await recordAudit(req, { action: 'delete', entityType: 'portal_access', entityId: id, patientId: id, before: { auth_user_id: patient.auth_user_id } });
+        const invite = await createPortalInvite(req, patient, emailCheck.value);
+        res.status(201).json({ success: true, message: 'Portal access reset. A new invite has been created.', data: invite });
+    } catch (err) {
+        console.error('Error resetting portal access:', err.message);
+        res.status(500).json({ success: false, message: 'Failed to reset portal access.' });
+    }
+});
+
+// POST activate a portal account with an invite code (public)
+app.post('/api/patient/activate', async (req, res) => {
+    const { email, code, password } = req.body;
+    if (!email || !code) {
+        return res.status(400).json({ success: false, message: 'Email and activation code are required.' });
+    }
+    const passwordProblem = validateNewPassword(password);
+    if (passwordProblem) {
+        return res.status(400).json({ success: false, message: passwordProblem });
+    }
+
+    const limiterKeys = loginLimiterKeys(req, 'activation', email);
+    const retryAfter = await checkLoginAllowed(limiterKeys);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const { data: invite, error: inviteError } = await supabase
+        .from('portal_invites')
+        .select('*')
+        .eq('email', normalizedEmail)
+        .eq('code_hash', hashSecretCode(normalizeInviteCode(code)))
+        .is('used_at', null)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+    if (inviteError) {
+        console.error('Error looking up portal invite:', inviteError.message);
+        return res.status(500).json({ success: false, message: 'Could not activate account.' });
+    }
+    if (!invite) {
+        await recordLoginFailure(limiterKeys);
+        return res.status(400).json({ success: false, message: 'Activation code is invalid or has expired.' });
+    }
+
+    // Claim the invite first so two concurrent redemptions can't both succeed.
+    const { data: claimed } = await supabase
+        .from('portal_invites')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', invite.id)
+        .is('used_at', null)
+        .select('id');
+    if (!claimed || claimed.length === 0) {
+        return res.status(400).json({ success: false, message: 'Activation code is invalid or has expired.' });
+    }
+
+    const { data: authData, error: authError } = await supabase.auth.admin.createUser({
+        email: normalizedEmail,
+        password,
+        email_confirm: true
+    });
+    if (authError) {
+        console.error('Error creating patient auth user:', authError.message);
+        await supabase.from('portal_invites').update({ used_at: null }).eq('id', invite.id);
+        return res.status(409).json({ success: false, message: 'An account with this email already exists. Please contact the clinic.' });
+    }
+
+    const { data: linked, error: linkError } = await supabase
+        .from('patients')
+        .update({ auth_user_id: authData.user.id })
+        .eq('id', invite.patient_id)
+        .is('auth_user_id', null)
+        .select('id');
+
+    if (linkError || !linked || linked.length === 0) {
+        console.error('Error linking patient to auth user:', linkError ? linkError.message : 'patient already linked');
+        await supabase.auth.admin.deleteUser(authData.user.id);
+        return res.status(409).json({ success: false, message: 'This patient record is already linked to a portal account.' });
+    }
+
+    await clearLoginFailures(limiterKeys);
+    console.log(`Portal account activated for patient ${invite.patient_id}.`);
+    res.status(201).json({ success: true, message: 'Your account is active. You can now log in.' });
+});
+
 // GET Patient's own profile, appointments, and exercises
 app.get('/api/portal/dashboard', authenticatePatient, async (req, res) => {
     const patientAuthId = req.user.id;
@@ -1014,11 +5681,12 @@ app.get('/api/portal/dashboard', authenticatePatient, async (req, res) => {
         const now = new Date().toISOString();
 
         // Run all queries concurrently
-        const [appointmentsRes, assignedExercisesRes, clinicSettingsRes] = await Promise.all([
+        const [appointmentsRes, assignedExercisesRes, clinicSettingsRes, calendarFeedRes] = await Promise.all([
             // Join with staff to get the therapist's name
-            supabase.from('appointments').select('start_time, status, staff:staff!appointments_staff_id_fkey(full_name)').eq('patient_id', patientId).order('start_time', { ascending: false }),
+            supabase.from('appointments').select('id, title, start_time, end_time, status, staff:staff!appointments_staff_id_fkey(full_name)').eq('patient_id', patientId).order('start_time', { ascending: false }),
             supabase.from('assigned_exercises').select('*, exercises(title, description, video_path)').eq('patient_id', patientId),
-            supabase.from('settings').select('clinic_name, phone_number, address').eq('id', 1).single() // Fetch clinic info
+            supabase.from('settings').select('clinic_name, phone_number, address').eq('id', 1).single(), // Fetch clinic info
+            supabase.from('calendar_feeds').select('token').eq('owner_type', 'patient').eq('owner_id', patientId).is('revoked_at', null).maybeSingle()
         ]);
         
         if (appointmentsRes.error || assignedExercisesRes.error || clinicSettingsRes.error) {
@@ -1035,7 +5703,9 @@ app.get('/api/portal/dashboard', authenticatePatient, async (req, res) => {
             nextAppointment: upcomingAppointments[0] || null,
             appointmentHistory: pastAppointments,
             exercises: assignedExercisesRes.data || [],
-            clinic: clinicSettingsRes.data // Add clinic info to response
+            clinic: clinicSettingsRes.data, // Add clinic info to response
+            calendarFeedUrl: calendarFeedRes.data ? calendarFeedUrl(req, calendarFeedRes.data.token) : null,
+            packages: await loadPatientPackages(patientId)
         };
         
         res.status(200).json({ success: true, data: responseData });
@@ -1046,31 +5716,286 @@ app.get('/api/portal/dashboard', authenticatePatient, async (req, res) => {
     }
 });
 
+// --- PORTAL SELF-SERVICE BOOKING ---
+// Patients book with their assigned therapist. Bookings and reschedules are created as
+// 'Requested' and only become 'Scheduled' once staff confirm them from the admin side.
+
+const DEFAULT_CANCELLATION_WINDOW_HOURS = 24;
+const DEFAULT_PORTAL_APPOINTMENT_MINUTES = 60;
+const PORTAL_CHANGEABLE_STATUSES = ['Requested', 'Scheduled'];
+
+const getBookingPolicy = async () => {
+    const { data } = await supabase
+        .from('settings')
+        .select('cancellation_window_hours, portal_appointment_minutes')
+        .eq('id', 1)
+        .maybeSingle();
+    return {
+        cancellationWindowHours: data && data.cancellation_window_hours != null ? Number(data.cancellation_window_hours) : DEFAULT_CANCELLATION_WINDOW_HOURS,
+        appointmentMinutes: (data && Number(data.portal_appointment_minutes)) || DEFAULT_PORTAL_APPOINTMENT_MINUTES
+    };
+};
+
+const findPortalPatient = async (authUserId) => {
+    const { data } = await supabase
+        .from('patients')
+        .select('id, full_name, assigned_therapist_id')
+        .eq('auth_user_id', authUserId)
+        .maybeSingle();
+    return data || null;
+};
+
+// Loads one of the patient's own appointments and checks it can still be changed online.
+// Answers the request itself and returns null when it can't.
+const loadChangeableAppointment = async (req, res, patient, policy) => {
+    const { data: appointment } = await supabase
+        .from('appointments')
+        .select('*')
+        .eq('id', req.params.id)
+        .eq('patient_id', patient.id)
+        .maybeSingle();
+    if (!appointment) {
+        res.status(404).json({ success: false, message: 'Appointment not found.' });
+        return null;
+    }
+    if (!PORTAL_CHANGEABLE_STATUSES.includes(appointment.status)) {
+        res.status(409).json({ success: false, message: `This appointment is ${String(appointment.status || '').toLowerCase()} and can't be changed online.` });
+        return null;
+    }
+    const hoursUntil = (new Date(appointment.start_time) - Date.now()) / (60 * 60 * 1000);
+    if (hoursUntil < policy.cancellationWindowHours) {
+        res.status(409).json({ success: false, message: `Changes within ${policy.cancellationWindowHours} hours of the appointment must be made by phoning the clinic.` });
+        return null;
+    }
+    return appointment;
+};
+
+// Checks that [startTime, startTime + minutes) is a real free slot for the therapist, and
+// at least the cancellation window away, as /api/portal/slots offers them.
+// Returns { startTime, endTime } or { error }.
+const checkPortalSlot = async (patient, start, minutes, policy, ignoreId = null) => {
+    const startMs = new Date(parseClinicDateTime(start, await getClinicTimezone())).getTime();
+    if (Number.isNaN(startMs)) return { error: 'start must be a valid date-time.' };
+    if (startMs <= Date.now()) return { error: 'Please choose a time in the future.' };
+    if (startMs < Date.now() + policy.cancellationWindowHours * 60 * 60 * 1000) {
+        return { error: `Online bookings must be at least ${policy.cancellationWindowHours} hours ahead. Please phone the clinic for an earlier time.` };
+    }
+    const startTime = new Date(startMs).toISOString();
+    const endTime = new Date(startMs + minutes * 60 * 1000).toISOString();
+
+    const clashes = (await findAppointmentConflicts({ startTime, endTime, therapistId: patient.assigned_therapist_id, patientId: patient.id }))
+        .filter(c => String(c.id) !== String(ignoreId));
+    if (clashes.length > 0) return { error: 'That time is no longer available. Please choose another slot.' };
+    const unavailable = await findAvailabilityProblem(patient.assigned_therapist_id, startTime, endTime, await getClinicTimezone());
+    if (unavailable) return { error: 'That time is not available. Please choose another slot.' };
+    return { startTime, endTime };
+};
+
+// GET bookable slots with the patient's therapist: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/portal/slots', authenticatePatient, async (req, res) => {
+    const patient = await findPortalPatient(req.user.id);
+    if (!patient) return res.status(404).json({ success: false, message: 'Patient profile not found.' });
+    if (!patient.assigned_therapist_id) {
+        return res.status(409).json({ success: false, message: 'You do not have an assigned therapist yet. Please contact the clinic to book.' });
+    }
+
+    const { from, to } = req.query;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '') || to < from || daysBetween(from, to) >= MAX_SLOT_SEARCH_DAYS) {
+        return res.status(400).json({ success: false, message: `from and to must be dates (YYYY-MM-DD) at most ${MAX_SLOT_SEARCH_DAYS} days apart.` });
+    }
+
+    try {
+        const policy = await getBookingPolicy();
+        const { data: therapist } = await supabase.from('staff').select('id, full_name').eq('id', patient.assigned_therapist_id).single();
+        const slots = await findFreeSlots({
+            therapists: [therapist],
+            fromDate: from,
+            toDate: to,
+            duration: policy.appointmentMinutes,
+            step: policy.appointmentMinutes,
+            timezone: await getClinicTimezone(),
+            patientId: patient.id
+        });
+        const earliest = Date.now() + policy.cancellationWindowHours * 60 * 60 * 1000;
+        res.status(200).json({ success: true, data: slots.filter(s => new Date(s.start).getTime() >= earliest) });
+    } catch (error) {
+        console.error('Error loading portal slots:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to load available times.' });
+    }
+});
+
+// POST request a booking: { start, reason }
+app.post('/api/portal/appointments', authenticatePatient, async (req, res) => {
+    const patient = await findPortalPatient(req.user.id);
+    if (!patient) return res.status(404).json({ success: false, message: 'Patient profile not found.' });
+    if (!patient.assigned_therapist_id) {
+        return res.status(409).json({ success: false, message: 'You do not have an assigned therapist yet. Please contact the clinic to book.' });
+    }
+
+    const policy = await getBookingPolicy();
+    const slot = await checkPortalSlot(patient, req.body.start, policy.appointmentMinutes, policy);
+    if (slot.error) return res.status(409).json({ success: false, message: slot.error });
+
+    const { data, error } = await supabase
+        .from('appointments')
+        .insert({
+            title: String(req.body.reason || 'Physiotherapy session').trim().slice(0, 200),
+            start_time: slot.startTime,
+            end_time: slot.endTime,
+            staff_id: patient.assigned_therapist_id,
+            patient_id: patient.id,
+            status: 'Requested'
+        })
+        .select()
+        .single();
+    if (error) {
+        console.error('Error creating portal booking:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to request appointment.' });
+    }
+    await recordAudit(req, { action: 'create', entityType: 'appointment', entityId: data.id, after: data });
+    await recordStatusChange(req, null, data);
+    res.status(201).json({ success: true, message: 'Your booking request has been sent. The clinic will confirm it shortly.', data });
+});
+
+// PATCH reschedule one of the patient's appointments: { start }
+app.patch('/api/portal/appointments/:id/reschedule', authenticatePatient, async (req, res) => {
+    const patient = await findPortalPatient(req.user.id);
+    if (!patient) return res.status(404).json({ success: false, message: 'Patient profile not found.' });
+
+    const policy = await getBookingPolicy();
+    const appointment = await loadChangeableAppointment(req, res, patient, policy);
+    if (!appointment) return;
+
+    const duration = (new Date(appointment.end_time) - new Date(appointment.start_time)) / 60000 || policy.appointmentMinutes;
+    const slot = await checkPortalSlot({ ...patient, assigned_therapist_id: appointment.staff_id }, req.body.start, duration, policy, appointment.id);
+    if (slot.error) return res.status(409).json({ success: false, message: slot.error });
+
+    const { data, error } = await supabase
+        .from('appointments')
+        .update({ start_time: slot.startTime, end_time: slot.endTime, status: 'Requested', sequence: (appointment.sequence || 0) + 1 })
+        .eq('id', appointment.id)
+        .select()
+        .single();
+    if (error) {
+        console.error('Error rescheduling portal appointment:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to reschedule appointment.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'appointment', entityId: appointment.id, before: appointment, after: data });
+    await recordStatusChange(req, appointment, data);
+    res.status(200).json({ success: true, message: 'Your new time has been requested. The clinic will confirm it shortly.', data });
+});
+
+// POST cancel one of the patient's appointments
+app.post('/api/portal/appointments/:id/cancel', authenticatePatient, async (req, res) => {
+    const patient = await findPortalPatient(req.user.id);
+    if (!patient) return res.status(404).json({ success: false, message: 'Patient profile not found.' });
+
+    const policy = await getBookingPolicy();
+    const appointment = await loadChangeableAppointment(req, res, patient, policy);
+    if (!appointment) return;
+
+    const { data, error } = await supabase
+        .from('appointments')
+        .update({ status: 'Cancelled', sequence: (appointment.sequence || 0) + 1 })
+        .eq('id', appointment.id)
+        .select()
+        .single();
+    if (error) {
+        console.error('Error cancelling portal appointment:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to cancel appointment.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'appointment', entityId: appointment.id, before: appointment, after: data });
+    await recordStatusChange(req, appointment, data);
+    await releaseAppointmentSlot(appointment);
+    res.status(200).json({ success: true, message: 'Your appointment has been cancelled.', data });
+});
+
+// GET the patient's open waitlist offers
+app.get('/api/portal/waitlist-offers', authenticatePatient, async (req, res) => {
+    const patient = await findPortalPatient(req.user.id);
+    if (!patient) return res.status(404).json({ success: false, message: 'Patient profile not found.' });
+    await expireWaitlistOffers().catch(error => console.error('Error expiring waitlist offers:', error.message));
+
+    const { data, error } = await supabase
+        .from('waitlist_offers')
+        .select('id, start_time, end_time, expires_at, staff:staff!waitlist_offers_staff_id_fkey ( full_name )')
+        .eq('patient_id', patient.id)
+        .eq('status', 'pending')
+        .order('start_time', { ascending: true });
+    if (error) return res.status(500).json({ success: false, message: 'Failed to load offers.' });
+    res.status(200).json({ success: true, data });
+});
+
+// POST accept / decline a waitlist offer from the portal
+app.post('/api/portal/waitlist-offers/:id/accept', authenticatePatient, async (req, res) => {
+    const patient = await findPortalPatient(req.user.id);
+    if (!patient) return res.status(404).json({ success: false, message: 'Patient profile not found.' });
+    const offer = await fetchForAudit('waitlist_offers', req.params.id);
+    if (!offer || String(offer.patient_id) !== String(patient.id)) return res.status(404).json({ success: false, message: 'Offer not found.' });
+
+    const result = await acceptWaitlistOffer(req, offer);
+    if (!result.appointment) return res.status(result.status).json({ success: false, message: result.message });
+    res.status(201).json({ success: true, message: 'You are booked in!', data: result.appointment });
+});
+
+app.post('/api/portal/waitlist-offers/:id/decline', authenticatePatient, async (req, res) => {
+    const patient = await findPortalPatient(req.user.id);
+    if (!patient) return res.status(404).json({ success: false, message: 'Patient profile not found.' });
+    const offer = await fetchForAudit('waitlist_offers', req.params.id);
+    if (!offer || String(offer.patient_id) !== String(patient.id)) return res.status(404).json({ success: false, message: 'Offer not found.' });
+
+    await closeWaitlistOffer(offer, 'declined');
+    res.status(200).json({ success: true, message: 'Offer declined.' });
+});
+
+// PATCH the patient's own reminder preferences
+app.patch('/api/portal/preferences', authenticatePatient, async (req, res) => {
+    const patient = await findPortalPatient(req.user.id);
+    if (!patient) return res.status(404).json({ success: false, message: 'Patient profile not found.' });
+
+    const { value, errors } = validateAgainstSchema(SCHEMAS.reminderPreferences, req.body, { partial: true });
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+    }
+    const { data: before } = await supabase
+        .from('patients')
+        .select('reminders_opt_out, preferred_language, preferred_channel')
+        .eq('id', patient.id)
+        .maybeSingle();
+    const { data, error } = await supabase
+        .from('patients')
+        .update(value)
+        .eq('id', patient.id)
+        .select('reminders_opt_out, preferred_language, preferred_channel')
+        .single();
+    if (error) return res.status(500).json({ success: false, message: 'Failed to update preferences.' });
+    await recordAudit(req, { action: 'update', entityType: 'patient', entityId: patient.id, patientId: patient.id, before, after: data });
+    res.status(200).json({ success: true, data });
+});
+
 // --- NEW: Mark an exercise as completed for today ---
 app.patch('/api/assigned-exercises/:id/complete', authenticatePatient, async (req, res) => {
     const { id: assignmentId } = req.params;
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    const today = clinicDateOf(Date.now(), await getClinicTimezone()); // YYYY-MM-DD in the clinic timezone
+
+    // Patients can only tick off their own exercises.
+    const patient = await findPortalPatient(req.user.id);
+    const before = await fetchForAudit('assigned_exercises', assignmentId);
+    if (!patient || !before || String(before.patient_id) !== String(patient.id)) {
+        return res.status(404).json({ success: false, message: "Could not find exercise assignment." });
+    }
 
     // Use an RPC function for this atomic operation for safety.
     // First, let's create the function in Supabase if it doesn't exist.
     // For now, we'll do it in JS, but an RPC is better for production.
 
-    // 1. Get the current list of completed dates
-    const { data: current, error: fetchError } = await supabase
-        .from('assigned_exercises')
-        .select('completed_dates')
-        .eq('id', assignmentId)
-        .single();
-
-    if (fetchError) return res.status(500).json({ success: false, message: "Could not find exercise assignment." });
-
-    // 2. Add today's date if it's not already there
-    const completedDates = current.completed_dates || [];
+    // 1. Add today's date to the current list if it's not already there
+    const completedDates = [...(before.completed_dates || [])];
     if (!completedDates.includes(today)) {
         completedDates.push(today);
     }
 
-    // 3. Update the record
+    // 2. Update the record
     const { data, error: updateError } = await supabase
         .from('assigned_exercises')
         .update({ completed_dates: completedDates })
@@ -1080,6 +6005,7 @@ app.patch('/api/assigned-exercises/:id/complete', authenticatePatient, async (re
 
     if (updateError) return res.status(500).json({ success: false, message: "Failed to update exercise." });
 
+    await recordAudit(req, { action: 'update', entityType: 'assigned_exercise', entityId: assignmentId, before, after: data });
     res.status(200).json({ success: true, data });
 });
 
@@ -1088,39 +6014,44 @@ app.patch('/api/assigned-exercises/:id/complete', authenticatePatient, async (re
 // --- EXERCISES API (Library Management) ---
 
 // GET all exercises
-app.get('/api/exercises', async (req, res) => {
+app.get('/api/exercises', authenticateStaff, requirePermission('exercises:read'), async (req, res) => {
     const { data, error } = await supabase.from('exercises').select('*').order('title');
     if (error) return res.status(500).json({ success: false, message: error.message });
     res.status(200).json({ success: true, data });
 });
 
 // POST a new exercise
-app.post('/api/exercises', async (req, res) => {
+app.post('/api/exercises', authenticateStaff, requirePermission('exercises:write'), validateBody('exercise'), async (req, res) => {
     const { data, error } = await supabase.from('exercises').insert(req.body).select().single();
     if (error) return res.status(400).json({ success: false, message: error.message });
+    await recordAudit(req, { action: 'create', entityType: 'exercise', entityId: data.id, after: data });
     res.status(201).json({ success: true, data });
 });
 
 // PATCH an existing exercise
-app.patch('/api/exercises/:id', async (req, res) => {
+app.patch('/api/exercises/:id', authenticateStaff, requirePermission('exercises:write'), validateBody('exercise', { partial: true }), async (req, res) => {
     const { id } = req.params;
+    const before = await fetchForAudit('exercises', id);
     const { data, error } = await supabase.from('exercises').update(req.body).eq('id', id).select().single();
     if (error) return res.status(400).json({ success: false, message: error.message });
+    await recordAudit(req, { action: 'update', entityType: 'exercise', entityId: id, before, after: data });
     res.status(200).json({ success: true, data });
 });
 
 // DELETE an exercise
-app.delete('/api/exercises/:id', async (req, res) => {
+app.delete('/api/exercises/:id', authenticateStaff, requirePermission('exercises:write'), async (req, res) => {
     const { id } = req.params;
+    const before = await fetchForAudit('exercises', id);
     const { error } = await supabase.from('exercises').delete().eq('id', id);
     if (error) return res.status(500).json({ success: false, message: error.message });
+    await recordAudit(req, { action: 'delete', entityType: 'exercise', entityId: id, before });
     res.status(200).json({ success: true, message: 'Exercise deleted.' });
 });
 
 // --- ASSIGNED EXERCISES API ---
 
 // GET assigned exercises for a specific patient
-app.get('/api/patients/:id/exercises', async (req, res) => {
+app.get('/api/patients/:id/exercises', authenticateStaff, requirePermission('exercises:read'), async (req, res) => {
     const { id } = req.params;
     const { data, error } = await supabase
         .from('assigned_exercises')
@@ -1131,29 +6062,35 @@ app.get('/api/patients/:id/exercises', async (req, res) => {
 });
 
 // POST (assign) an exercise to a patient
-app.post('/api/patients/:id/exercises', async (req, res) => {
+app.post('/api/patients/:id/exercises', authenticateStaff, requirePermission('exercises:write'), validateBody('exerciseAssignment'), async (req, res) => {
     const { id: patient_id } = req.params;
-    const { exercise_id, notes, frequency_per_week } = req.body;
     
     // In a real app, you'd get prescribed_by from the logged-in admin's ID
     const { data, error } = await supabase
         .from('assigned_exercises')
-        .insert({ patient_id, exercise_id, notes, frequency_per_week })
+        .insert({ ...req.body, patient_id })
         .select().single();
         
-    if (error) return res.status(400).json({ success: false, message: error.message });
+    if (error) {
+        console.error('Error assigning exercise:', error.message);
+        const missing = error.code === '23503';
+        return res.status(missing ? 400 : 500).json({ success: false, message: missing ? 'That patient or exercise does not exist.' : 'Failed to assign exercise.' });
+    }
+    await recordAudit(req, { action: 'create', entityType: 'assigned_exercise', entityId: data.id, after: data });
     res.status(201).json({ success: true, data });
 });
 
 // DELETE (un-assign) an exercise
-app.delete('/api/assigned-exercises/:assignmentId', async (req, res) => {
+app.delete('/api/assigned-exercises/:assignmentId', authenticateStaff, requirePermission('exercises:write'), async (req, res) => {
     const { assignmentId } = req.params;
+    const before = await fetchForAudit('assigned_exercises', assignmentId);
     const { error } = await supabase.from('assigned_exercises').delete().eq('id', assignmentId);
     if (error) return res.status(500).json({ success: false, message: error.message });
+    await recordAudit(req, { action: 'delete', entityType: 'assigned_exercise', entityId: assignmentId, before });
     res.status(200).json({ success: true, message: 'Exercise unassigned.' });
 });
 
-app.get('/api/patients/:id/notes', async (req, res) => {
+app.get('/api/patients/:id/notes', authenticateStaff, requirePermission('notes:read'), async (req, res) => {
     const { id } = req.params;
     const { data, error } = await supabase
         .from('clinical_notes')
@@ -1166,20 +6103,341 @@ app.get('/api/patients/:id/notes', async (req, res) => {
 });
 
 // POST a new note for a patient
-app.post('/api/patients/:id/notes', async (req, res) => {
+app.post('/api/patients/:id/notes', authenticateStaff, requirePermission('notes:write'), validateBody('clinicalNote'), async (req, res) => {
     const { id: patient_id } = req.params;
-    const noteData = req.body || {};
-    // In a real app, 'created_by' would come from the logged-in user's token
-    
+    const noteData = req.body;
+    const today = clinicDateOf(Date.now(), await getClinicTimezone());
+
     const { data, error } = await supabase
         .from('clinical_notes')
-        .insert({ ...noteData, patient_id, note_date: noteData.note_date || new Date().toISOString().split('T')[0] })
+        .insert({ ...noteData, patient_id, created_by: req.staff.id, note_date: noteData.note_date || today })
         .select().single();
         
-    if (error) return res.status(400).json({ success: false, message: error.message });
+    if (error) {
+        console.error('Error creating clinical note:', error.message);
+        const missing = error.code === '23503';
+        return res.status(missing ? 400 : 500).json({ success: false, message: missing ? 'That patient or appointment does not exist.' : 'Failed to save note.' });
+    }
+    await recordAudit(req, { action: 'create', entityType: 'clinical_note', entityId: data.id, after: data });
     res.status(201).json({ success: true, data });
 });
 
-app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
+// PATCH (amend) a clinical note. Amendments are kept in the audit log.
+app.patch('/api/notes/:id', authenticateStaff, requirePermission('notes:write'), validateBody('clinicalNote', { partial: true }), async (req, res) => {
+    const { id } = req.params;
+
+    const before = await fetchForAudit('clinical_notes', id);
+    if (!before) return res.status(404).json({ success: false, message: 'Note not found.' });
+
+    const { data, error } = await supabase.from('clinical_notes').update(req.body).eq('id', id).select().single();
+    if (error) {
+        console.error('Error amending clinical note:', error.message);
+        const missing = error.code === '23503';
+        return res.status(missing ? 400 : 500).json({ success: false, message: missing ? 'That appointment does not exist.' : 'Failed to update note.' });
+    }
+    await recordAudit(req, { action: 'update', entityType: 'clinical_note', entityId: id, before, after: data });
+    res.status(200).json({ success: true, data });
+});
+
+// --- CALENDAR (ICS) FEEDS ---
+// Subscribable per-therapist and per-patient feeds. The secret token in the URL is the only
+// credential, so feeds can be rotated or revoked at any time. Stored in 'calendar_feeds':
+// id, owner_type ('staff' | 'patient'), owner_id, token, created_at, revoked_at
+
+const ICS_PAST_DAYS = 30;
+const ICS_FUTURE_DAYS = 365;
+const ICS_UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'kheng-physiocare';
+
+const calendarFeedUrl = (req, token) => {
+    const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}/api/calendar/${token}.ics`;
+};
+
+// Revokes any active feed for the owner and issues a fresh token.
+const rotateCalendarFeed = async (ownerType, ownerId) => {
+    await supabase
+        .from('calendar_feeds')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('owner_type', ownerType)
+        .eq('owner_id', ownerId)
+        .is('revoked_at', null);
+    const token = crypto.randomBytes(24).toString('base64url');
+    const { error } = await supabase.from('calendar_feeds').insert({ owner_type: ownerType, owner_id: ownerId, token });
+    if (error) throw error;
+    return token;
+};
+
+const revokeCalendarFeed = async (ownerType, ownerId) => {
+    const { error } = await supabase
+        .from('calendar_feeds')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('owner_type', ownerType)
+        .eq('owner_id', ownerId)
+        .is('revoked_at', null);
+    if (error) throw error;
+};
+
+const icsEscape = (text) => String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space.
+const icsFold = (line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const icsUtc = (instant) => new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsLocal = (instant, timezone) => {
+    const p = zonedParts(instant, timezone);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+};
+
+// Minimal VTIMEZONE using the zone's current UTC offset. Calendar apps also recognise
+// the IANA TZID itself, which covers zones with daylight saving.
+const icsTimezone = (timezone) => {
+    const now = Date.now();
+    const p = zonedParts(now, timezone);
+    const offsetMinutes = Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(now / 1000) * 1000) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const abs = Math.abs(offsetMinutes);
+    const offset = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+    return [
+        'BEGIN:VTIMEZONE', `TZID:${timezone}`,
+        'BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+};
+
+const ICS_STATUS = { Cancelled: 'CANCELLED', Requested: 'TENTATIVE' };
+
+const buildIcsCalendar = ({ name, appointments, timezone, clinic, ownerType }) => {
+    const stamp = icsUtc(Date.now());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Kheng PhysioCare//Appointments//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsEscape(name)}`,
+        `X-WR-TIMEZONE:${timezone}`,
+        ...icsTimezone(timezone)
+    ];
+
+    for (const a of appointments) {
+        const summary = ownerType === 'staff'
+            ? `${a.title || 'Appointment'}${a.patients ? ` - ${a.patients.full_name}` : ''}`
+            : `${a.title || 'Physiotherapy appointment'}${a.staff ? ` with ${a.staff.full_name}` : ''}`;
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:appointment-${a.id}@${ICS_UID_DOMAIN}`,
+            `SEQUENCE:${a.sequence || 0}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;TZID=${timezone}:${icsLocal(a.start_time, timezone)}`,
+            `DTEND;TZID=${timezone}:${icsLocal(a.end_time || a.start_time, timezone)}`,
+            `SUMMARY:${icsEscape(summary)}`,
+            `STATUS:${ICS_STATUS[a.status] || 'CONFIRMED'}`
+        );
+        if (clinic && clinic.address) lines.push(`LOCATION:${icsEscape(clinic.address)}`);
+        if (clinic && clinic.phone_number) lines.push(`DESCRIPTION:${icsEscape(`${clinic.clinic_name || ''} ${clinic.phone_number}`.trim())}`);
+        lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+};
+
+// GET a calendar feed (public, secured by the token in the URL)
+app.get('/api/calendar/:token.ics', async (req, res) => {
+    const { token } = req.params;
+    const { data: feed } = await supabase
+        .from('calendar_feeds')
+        .select('owner_type, owner_id')
+        .eq('token', token)
+        .is('revoked_at', null)
+        .maybeSingle();
+    if (!feed) return res.status(404).send('Calendar not found.');
+
+    const timezone = await getClinicTimezone();
+    const from = new Date(Date.now() - ICS_PAST_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const to = new Date(Date.now() + ICS_FUTURE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    let query = supabase
+        .from('appointments')
+        .select('id, title, start_time, end_time, status, sequence, patients ( full_name ), staff:staff!appointments_staff_id_fkey ( full_name )')
+        .gte('start_time', from)
+        .lt('start_time', to)
+        .eq(feed.owner_type === 'staff' ? 'staff_id' : 'patient_id', feed.owner_id);
+
+    const [appointmentsRes, ownerRes, clinicRes] = await Promise.all([
+        query.order('start_time', { ascending: true }),
+        supabase.from(feed.owner_type === 'staff' ? 'staff' : 'patients').select('full_name').eq('id', feed.owner_id).maybeSingle(),
+        supabase.from('settings').select('clinic_name, phone_number, address').eq('id', 1).maybeSingle()
+    ]);
+    if (appointmentsRes.error) {
+        console.error('Error building calendar feed:', appointmentsRes.error.message);
+        return res.status(500).send('Calendar unavailable.');
+    }
+
+    const clinicName = (clinicRes.data && clinicRes.data.clinic_name) || 'Kheng PhysioCare';
+    const ownerName = ownerRes.data ? ownerRes.data.full_name : '';
+    const body = buildIcsCalendar({
+        name: ownerName ? `${clinicName} - ${ownerName}` : clinicName,
+        appointments: appointmentsRes.data,
+        timezone,
+        clinic: clinicRes.data,
+        ownerType: feed.owner_type
+    });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.status(200).send(body);
+});
+
+// Therapists may manage their own feed; admins may manage anyone's.
+const canManageStaffFeed = (req) => String(req.staff.id) === String(req.params.id) || hasPermission(req.staff.role, 'staff:write');
+
+// POST (create or rotate) a therapist's feed
+app.post('/api/staff/:id/calendar-feed', authenticateStaff, async (req, res) => {
+    if (!canManageStaffFeed(req)) return res.status(403).json({ success: false, message: 'You do not have permission to perform this action.' });
+    try {
+        const token = await rotateCalendarFeed('staff', req.params.id);
+        await recordAudit(req, { action: 'create', entityType: 'calendar_feed', entityId: `staff:${req.params.id}` });
+        res.status(201).json({ success: true, data: { url: calendarFeedUrl(req, token) } });
+    } catch (error) {
+        console.error('Error creating staff calendar feed:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to create calendar feed.' });
+    }
+});
+
+// DELETE (revoke) a therapist's feed
+app.delete('/api/staff/:id/calendar-feed', authenticateStaff, async (req, res) => {
+    if (!canManageStaffFeed(req)) return res.status(403).json({ success: false, message: 'You do not have permission to perform this action.' });
+    try {
+        await revokeCalendarFeed('staff', req.params.id);
+        await recordAudit(req, { action: 'delete', entityType: 'calendar_feed', entityId: `staff:${req.params.id}` });
+        res.status(200).json({ success: true, message: 'Calendar feed revoked.' });
+    } catch (error) {
+        console.error('Error revoking staff calendar feed:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to revoke calendar feed.' });
+    }
+});
+
+// POST (create or rotate) / DELETE (revoke) a patient's feed from the admin side
+app.post('/api/patients/:id/calendar-feed', authenticateStaff, requirePermission('patients:write'), async (req, res) => {
+    try {
+        const token = await rotateCalendarFeed('patient', req.params.id);
+        await recordAudit(req, { action: 'create', entityType: 'calendar_feed', entityId: `patient:${req.params.id}`, patientId: req.params.id });
+        res.status(201).json({ success: true, data: { url: calendarFeedUrl(req, token) } });
+    } catch (error) {
+        console.error('Error creating patient calendar feed:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to create calendar feed.' });
+    }
+});
+
+app.delete('/api/patients/:id/calendar-feed', authenticateStaff, requirePermission('patients:write'), async (req, res) => {
+    try {
+        await revokeCalendarFeed('patient', req.params.id);
+        await recordAudit(req, { action: 'delete', entityType: 'calendar_feed', entityId: `patient:${req.params.id}`, patientId: req.params.id });
+        res.status(200).json({ success: true, message: 'Calendar feed revoked.' });
+    } catch (error) {
+        console.error('Error revoking patient calendar feed:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to revoke calendar feed.' });
+    }
+});
+
+// POST (create or rotate) / DELETE (revoke) the signed-in patient's own feed
+app.post('/api/portal/calendar-feed', authenticatePatient, async (req, res) => {
+    const { data: patient } = await supabase.from('patients').select('id').eq('auth_user_id', req.user.id).single();
+    if (!patient) return res.status(404).json({ success: false, message: 'Patient profile not found.' });
+    try {
+        const token = await rotateCalendarFeed('patient', patient.id);
+        await recordAudit(req, { action: 'create', entityType: 'calendar_feed', entityId: `patient:${patient.id}`, patientId: patient.id });
+        res.status(201).json({ success: true, data: { url: calendarFeedUrl(req, token) } });
+    } catch (error) {
+        console.error('Error creating portal calendar feed:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to create calendar feed.' });
+    }
+});
+
+app.delete('/api/portal/calendar-feed', authenticatePatient, async (req, res) => {
+    const { data: patient } = await supabase.from('patients').select('id').eq('auth_user_id', req.user.id).single();
+    if (!patient) return res.status(404).json({ success: false, message: 'Patient profile not found.' });
+    try {
+        await revokeCalendarFeed('patient', patient.id);
+        await recordAudit(req, { action: 'delete', entityType: 'calendar_feed', entityId: `patient:${patient.id}`, patientId: patient.id });
+        res.status(200).json({ success: true, message: 'Calendar feed revoked.' });
+    } catch (error) {
+        console.error('Error revoking portal calendar feed:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to revoke calendar feed.' });
+    }
+});
+
+// --- AUDIT LOG API ---
+
+// GET audit entries, filterable by entity, patient, staff member and date range
+app.get('/api/audit-log', authenticateStaff, requirePermission('audit:read'), async (req, res) => {
+    const { entity_type, entity_id, patient_id, staff_id, action, from, to } = req.query;
+    const limit = Math.max(1, Math.min(Math.floor(Number(req.query.limit)) || 100, 500));
+    const offset = Math.max(Math.floor(Number(req.query.offset)) || 0, 0);
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+        return res.status(400).json({ success: false, message: 'from and to must be valid dates.' });
+    }
+
+    let query = supabase
+        .from('audit_log')
+        .select('*, staff:staff!audit_log_actor_staff_id_fkey(full_name)', { count: 'exact' });
+
+    if (entity_type) query = query.eq('entity_type', entity_type);
+    if (entity_id) query = query.eq('entity_id', String(entity_id));
+    if (patient_id) query = query.eq('patient_id', patient_id);
+    if (staff_id) query = query.eq('actor_staff_id', staff_id);
+    if (action) query = query.eq('action', action);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+    const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        console.error('Error fetching audit log:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to fetch audit log.' });
+    }
+    res.status(200).json({ success: true, data, total: count });
 });
+
+// Listens when run directly (node server.js); when required, e.g. by the tests, it only exports.
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server is running on http://localhost:${PORT}`);
+
+        const jobIntervalMinutes = Number(process.env.REMINDER_INTERVAL_MINUTES);
+        if (jobIntervalMinutes > 0) {
+            console.log(`Running due jobs every ${jobIntervalMinutes} minutes.`);
+            setInterval(() => {
+                runDueJobs().catch(error => console.error('Scheduled job run failed:', error.message));
+            }, jobIntervalMinutes * 60 * 1000);
+        }
+    });
+}
+
+module.exports = {
+    app, idempotent, findAppointmentConflicts, findFreeSlots,
+    hasPermission, validateAgainstSchema, SCHEMAS, loginWaitMs, LOGIN_LIMITS, appointmentTransitionError,
+    roundCurrency, convertCurrency, derivePaymentStatus, coverageSplit, csvCell, icsFold, buildIcsCalendar
+};
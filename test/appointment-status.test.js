@@ -0,0 +1,13 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./fake-supabase');
+
+const { server } = loadServer({});
+
+test('appointmentTransitionError allows only the lifecycle moves', () => {
+    assert.equal(server.appointmentTransitionError(null, 'Scheduled'), null);
+    assert.match(server.appointmentTransitionError(null, 'Completed'), /New appointments must be/);
+    assert.equal(server.appointmentTransitionError('Checked-in', 'Completed'), null);
+    assert.match(server.appointmentTransitionError('Completed', 'Scheduled'), /can't be changed/);
+    assert.match(server.appointmentTransitionError('Scheduled', 'Done'), /status must be one of/);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./fake-supabase');
+
+const { server } = loadServer({});
+
+const coverage = (overrides = {}) => ({ id: 1, coverage_percent: 80, session_cap: null, ...overrides });
+
+test('coverageSplit covers a percentage of the treatment lines only', () => {
+    const lines = [
+        { service_id: 1, quantity: 2, unit_price: 30 },
+        { product_id: 5, quantity: 1, unit_price: 40 }
+    ];
+    assert.deepEqual(server.coverageSplit(coverage(), lines, 0, 0), { payerAmount: 48, sessions: 2 });
+});
+
+test('coverageSplit spreads the invoice discount across the lines', () => {
+    const lines = [
+        { service_id: 1, quantity: 1, unit_price: 60 },
+        { product_id: 5, quantity: 1, unit_price: 40 }
+    ];
+    // 10 off 100 leaves 54 of the service line, 80% of which is covered.
+    assert.deepEqual(server.coverageSplit(coverage(), lines, 10, 0), { payerAmount: 43.2, sessions: 1 });
+});
+
+test('coverageSplit stops at the session cap', () => {
+    const lines = [{ service_id: 1, quantity: 5, unit_price: 20 }];
+    assert.deepEqual(server.coverageSplit(coverage({ session_cap: 10 }), lines, 0, 8), { payerAmount: 32, sessions: 2 });
+    assert.deepEqual(server.coverageSplit(coverage({ session_cap: 10 }), lines, 0, 10), { payerAmount: 0, sessions: 0 });
+});
+
+test('coverageSplit rounds a KHR share to 100 riel', () => {
+    const lines = [{ service_id: 1, quantity: 1, unit_price: 123400 }];
+    assert.deepEqual(server.coverageSplit(coverage({ coverage_percent: 33 }), lines, 0, 0, 'KHR'), { payerAmount: 40700, sessions: 1 });
+});
+
+test('csvCell quotes separators and neutralises formulas', () => {
+    assert.equal(server.csvCell('plain'), 'plain');
+    assert.equal(server.csvCell(null), '');
+    assert.equal(server.csvCell('Sok, Dara'), '"Sok, Dara"');
+    assert.equal(server.csvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(server.csvCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+    assert.equal(server.csvCell('+1'), "'+1");
+    assert.equal(server.csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(server.csvCell('\tcmd'), "'\tcmd");
+    assert.equal(server.csvCell('\rcmd'), '"\'\rcmd"');
+    assert.equal(server.csvCell(-5), '-5');
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./fake-supabase');
+
+const { server } = loadServer({});
+
+test('roundCurrency rounds USD to the cent and KHR to 100 riel', () => {
+    assert.equal(server.roundCurrency(10.005, 'USD'), 10.01);
+    assert.equal(server.roundCurrency(12.344, 'USD'), 12.34);
+    assert.equal(server.roundCurrency(40722, 'KHR'), 40700);
+    assert.equal(server.roundCurrency(40750, 'KHR'), 40800);
+});
+
+test('convertCurrency uses the KHR-per-USD rate in both directions', () => {
+    assert.equal(server.convertCurrency(12.5, 'USD', 'KHR', 4100), 51300);
+    assert.equal(server.convertCurrency(41000, 'KHR', 'USD', 4100), 10);
+    assert.equal(server.convertCurrency(10000, 'KHR', 'USD', 4100), 2.44);
+    assert.equal(server.convertCurrency(12345, 'KHR', 'KHR', 4100), 12300);
+});
+
+test('derivePaymentStatus compares in the currency\'s smallest unit', () => {
+    assert.equal(server.derivePaymentStatus(100, 0), 'Unpaid');
+    assert.equal(server.derivePaymentStatus(100, 99.99), 'Partially Paid');
+    assert.equal(server.derivePaymentStatus(100, 100.004), 'Paid');
+    assert.equal(server.derivePaymentStatus(100, 100.01), 'Overpaid');
+    // 40,730 riel owed rounds to 40,700, so 40,700 paid settles it.
+    assert.equal(server.derivePaymentStatus(40730, 40700, 'KHR'), 'Paid');
+    assert.equal(server.derivePaymentStatus(40700, 40600, 'KHR'), 'Partially Paid');
+});
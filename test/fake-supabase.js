@@ -0,0 +1,88 @@
+// In-memory stand-in for the Supabase client, enough for the queries the tests exercise.
+// Rows live in plain arrays per table. Filters are applied; or(), embedded selects and
+// ordering are ignored, so seed only the rows a test needs.
+
+// Unique constraints the code relies on; a duplicate insert fails like Postgres does.
+const UNIQUE_COLUMNS = {
+    idempotency_keys: ['key', 'scope']
+};
+
+const createFakeSupabase = (tables = {}) => {
+    const rowsOf = (table) => {
+        if (!tables[table]) tables[table] = [];
+        return tables[table];
+    };
+    const same = (a, b) => String(a) === String(b);
+
+    const from = (table) => {
+        const filters = [];
+        let action = 'select';
+        let payload = null;
+        let returnRows = false;
+        let single = null;
+
+        const matching = () => rowsOf(table).filter(row => filters.every(test => test(row)));
+        const run = () => {
+            let data;
+            if (action === 'insert') {
+                const list = (Array.isArray(payload) ? payload : [payload]).map((row, i) => ({ id: rowsOf(table).length + i + 1, ...row }));
+                const unique = UNIQUE_COLUMNS[table];
+                if (unique && list.some(row => rowsOf(table).some(existing => unique.every(col => same(existing[col], row[col]))))) {
+                    return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+                }
+                rowsOf(table).push(...list);
+                data = list;
+            } else if (action === 'update') {
+                data = matching();
+                data.forEach(row => Object.assign(row, payload));
+            } else if (action === 'delete') {
+                data = matching();
+                tables[table] = rowsOf(table).filter(row => !data.includes(row));
+            } else {
+                data = matching();
+            }
+            data = data.map(row => ({ ...row }));
+            if (single === 'single') {
+                return data.length === 1 ? { data: data[0], error: null } : { data: null, error: { message: `expected one row, got ${data.length}` } };
+            }
+            if (single === 'maybeSingle') return { data: data[0] || null, error: null };
+            return { data: returnRows ? data : null, error: null };
+        };
+
+        const builder = {
+            select: () => { returnRows = true; return builder; },
+            insert: (rows) => { action = 'insert'; payload = rows; return builder; },
+            update: (changes) => { action = 'update'; payload = changes; return builder; },
+            delete: () => { action = 'delete'; return builder; },
+            eq: (col, val) => { filters.push(row => same(row[col], val)); return builder; },
+            neq: (col, val) => { filters.push(row => row[col] != null && !same(row[col], val)); return builder; },
+            lt: (col, val) => { filters.push(row => row[col] < val); return builder; },
+            lte: (col, val) => { filters.push(row => row[col] <= val); return builder; },
+            gt: (col, val) => { filters.push(row => row[col] > val); return builder; },
+            gte: (col, val) => { filters.push(row => row[col] >= val); return builder; },
+            in: (col, vals) => { filters.push(row => vals.some(v => same(row[col], v))); return builder; },
+            is: (col, val) => { filters.push(row => (row[col] ?? null) === val); return builder; },
+            single: () => { single = 'single'; return builder; },
+            maybeSingle: () => { single = 'maybeSingle'; return builder; },
+            then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+        };
+        for (const ignored of ['or', 'not', 'order', 'limit', 'range', 'upsert']) builder[ignored] = () => builder;
+        return builder;
+    };
+
+    return { tables, from, auth: {}, rpc: async () => ({ data: null, error: null }) };
+};
+
+// Loads server.js against a fake client. Returns { server, db } where db.tables is live.
+const loadServer = (tables) => {
+    process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+    process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-key';
+    const db = createFakeSupabase(tables);
+    const supabasePath = require.resolve('@supabase/supabase-js');
+    require.cache[supabasePath] = { id: supabasePath, filename: supabasePath, loaded: true, exports: { createClient: () => db } };
+    const serverPath = require.resolve('../server.js');
+    delete require.cache[serverPath];
+    return { server: require(serverPath), db };
+};
+
+module.exports = { createFakeSupabase, loadServer };
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./fake-supabase');
+
+const { server } = loadServer({});
+
+test('icsFold leaves short lines alone and folds long ones at 75 octets', () => {
+    assert.equal(server.icsFold('SUMMARY:Short'), 'SUMMARY:Short');
+    const folded = server.icsFold(`DESCRIPTION:${'x'.repeat(200)}`);
+    const parts = folded.split('\r\n');
+    assert.ok(parts.length > 1);
+    assert.equal(Buffer.byteLength(parts[0]), 75);
+    for (const part of parts.slice(1)) {
+        assert.ok(part.startsWith(' '));
+        assert.ok(Buffer.byteLength(part) <= 75);
+    }
+    assert.equal(parts.map((p, i) => (i === 0 ? p : p.slice(1))).join(''), `DESCRIPTION:${'x'.repeat(200)}`);
+});
+
+test('icsFold never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'ព'.repeat(60)}`;
+    const parts = server.icsFold(line).split('\r\n');
+    for (const part of parts) assert.ok(Buffer.byteLength(part) <= 75);
+    assert.equal(parts.map((p, i) => (i === 0 ? p : p.slice(1))).join(''), line);
+});
+
+test('buildIcsCalendar writes one escaped event per appointment in the clinic timezone', () => {
+    const ics = server.buildIcsCalendar({
+        name: 'Clinic - Dara',
+        timezone: 'Asia/Phnom_Penh',
+        ownerType: 'patient',
+        clinic: { clinic_name: 'Clinic', phone_number: '012 345 678', address: '12 Street, Phnom Penh' },
+        appointments: [
+            { id: 4, title: 'Back pain; follow-up', start_time: '2026-03-02T02:00:00Z', end_time: '2026-03-02T03:00:00Z', status: 'Scheduled', sequence: 2, staff: { full_name: 'Dr. Sok' } },
+            { id: 5, title: 'Review', start_time: '2026-03-09T02:00:00Z', end_time: '2026-03-09T03:00:00Z', status: 'Cancelled' }
+        ]
+    });
+    const lines = ics.split('\r\n');
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.equal(lines.filter(l => l === 'BEGIN:VEVENT').length, 2);
+    assert.ok(lines.some(l => l.startsWith('UID:appointment-4@')));
+    assert.ok(lines.includes('SEQUENCE:2'));
+    assert.ok(lines.includes('DTSTART;TZID=Asia/Phnom_Penh:20260302T090000'));
+    assert.ok(lines.includes('SUMMARY:Back pain\\; follow-up with Dr. Sok'));
+    assert.ok(lines.includes('LOCATION:12 Street\\, Phnom Penh'));
+    assert.ok(lines.includes('STATUS:CANCELLED'));
+});
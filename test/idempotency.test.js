@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { loadServer } = require('./fake-supabase');
+
+// A throwaway app with idempotent routes, served on a free port for the test's duration.
+const withApp = async (routes, run) => {
+    const app = express();
+    app.use(express.json());
+    routes(app);
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+        await run(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+};
+
+const post = (url, key) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify({ amount: 5 })
+});
+
+// The key is released after the response is sent, so give that a moment to land.
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('a handler that throws releases its key for a retry', async () => {
+    const { server, db } = loadServer({ idempotency_keys: [] });
+    let calls = 0;
+    await withApp(app => {
+        app.post('/pay', server.idempotent, async (req, res) => {
+            calls++;
+            if (calls === 1) throw new Error('database went away');
+            res.status(201).json({ success: true });
+        });
+    }, async (base) => {
+        assert.equal((await post(`${base}/pay`, 'k-1')).status, 500);
+        await settle();
+        assert.deepEqual(db.tables.idempotency_keys, []);
+
+        const retry = await post(`${base}/pay`, 'k-1');
+        assert.equal(retry.status, 201);
+        assert.equal(calls, 2);
+    });
+});
+
+test('a finished response is replayed', async () => {
+    const { server } = loadServer({ idempotency_keys: [] });
+    let calls = 0;
+    await withApp(app => {
+        app.post('/pay', server.idempotent, (req, res) => {
+            calls++;
+            res.status(201).json({ success: true, call: calls });
+        });
+    }, async (base) => {
+        const first = await post(`${base}/pay`, 'k-2');
+        assert.equal(first.status, 201);
+        await settle();
+        const replay = await post(`${base}/pay`, 'k-2');
+        assert.equal(replay.status, 201);
+        assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+        assert.deepEqual(await replay.json(), { success: true, call: 1 });
+    });
+});
+
+test('the response is still sent when storing it fails', async () => {
+    const { server, db } = loadServer({ idempotency_keys: [] });
+    await withApp(app => {
+        app.post('/pay', server.idempotent, (req, res) => {
+            const from = db.from;
+            db.from = () => { throw new Error('connection reset'); };
+            res.status(201).json({ success: true });
+            db.from = from;
+        });
+    }, async (base) => {
+        const response = await post(`${base}/pay`, 'k-3');
+        assert.equal(response.status, 201);
+        assert.deepEqual(await response.json(), { success: true });
+    });
+});
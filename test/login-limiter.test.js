@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./fake-supabase');
+
+const { server } = loadServer({});
+const limits = { freeAttempts: 3, lockoutAfter: 10 };
+const now = Date.parse('2026-01-01T00:00:00Z');
+const at = (ms) => new Date(now + ms).toISOString();
+
+test('loginWaitMs allows the free attempts without a delay', () => {
+    assert.equal(server.loginWaitMs(null, limits, now), 0);
+    assert.equal(server.loginWaitMs({ failures: 2, lastFailureAt: at(0) }, limits, now), 0);
+});
+
+test('loginWaitMs doubles the delay for each failure past the free ones, up to a minute', () => {
+    assert.equal(server.loginWaitMs({ failures: 3, lastFailureAt: at(0) }, limits, now), 1000);
+    assert.equal(server.loginWaitMs({ failures: 5, lastFailureAt: at(0) }, limits, now), 4000);
+    assert.equal(server.loginWaitMs({ failures: 5, lastFailureAt: at(-1500) }, limits, now), 2500);
+    assert.equal(server.loginWaitMs({ failures: 9, lastFailureAt: at(0) }, limits, now), 60 * 1000);
+    assert.equal(server.loginWaitMs({ failures: 5, lastFailureAt: at(-10000) }, limits, now), 0);
+});
+
+test('loginWaitMs waits out a lockout', () => {
+    const record = { failures: 10, lastFailureAt: at(0), lockedUntil: at(15 * 60 * 1000) };
+    assert.equal(server.loginWaitMs(record, limits, now), 15 * 60 * 1000);
+    assert.equal(server.loginWaitMs({ ...record, failures: 0, lockedUntil: at(-1) }, limits, now), 0);
+});
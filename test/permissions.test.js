@@ -0,0 +1,14 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./fake-supabase');
+
+const { server } = loadServer({});
+
+test('hasPermission follows the role map and old job-title aliases', () => {
+    assert.equal(server.hasPermission('admin', 'staff:write'), true);
+    assert.equal(server.hasPermission('receptionist', 'staff:write'), false);
+    assert.equal(server.hasPermission('receptionist', 'notes:read'), false);
+    assert.equal(server.hasPermission('therapist', 'notes:write'), true);
+    assert.equal(server.hasPermission('Administrator', 'staff:write'), true);
+    assert.equal(server.hasPermission('admin', 'no-such:permission'), false);
+});
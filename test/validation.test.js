@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./fake-supabase');
+
+const { server } = loadServer({});
+
+test('validateAgainstSchema rejects unknown fields and coerces values', () => {
+    const { value, errors } = server.validateAgainstSchema(server.SCHEMAS.product, { id: 9, name: ' Band ', unit_price: '12.345', stock_level: '3' });
+    assert.deepEqual(errors, { id: 'is not an allowed field' });
+    assert.deepEqual(value, { name: 'Band', unit_price: 12.35, stock_level: 3 });
+});
+
+test('validateAgainstSchema reports required and badly typed fields', () => {
+    const { errors } = server.validateAgainstSchema(server.SCHEMAS.clinicalNote, { note_date: '2026-02-30', appointment_id: 'x' });
+    assert.equal(errors.note_date, 'must be a valid date (YYYY-MM-DD)');
+    assert.equal(errors.appointment_id, 'must be a whole number');
+    assert.equal(server.validateAgainstSchema(server.SCHEMAS.exerciseAssignment, {}).errors.exercise_id, 'is required');
+});
+
+test('partial validation lets required fields be left out but not cleared', () => {
+    assert.deepEqual(server.validateAgainstSchema(server.SCHEMAS.product, { stock_level: 4 }, { partial: true }).errors, {});
+    assert.equal(server.validateAgainstSchema(server.SCHEMAS.product, { name: '' }, { partial: true }).errors.name, 'is required');
+});
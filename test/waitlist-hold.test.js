@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./fake-supabase');
+
+const HOUR = 60 * 60 * 1000;
+const inHours = (hours) => new Date(Date.now() + hours * HOUR).toISOString();
+
+// Therapist 7 has a slot 48h from now held for waitlisted patient 11.
+const seed = (offer = {}) => ({
+    settings: [{ id: 1, timezone: 'UTC', closures: [] }],
+    appointments: [],
+    staff_working_hours: [],
+    staff_leave: [],
+    waitlist_offers: [{
+        id: 1,
+        waitlist_entry_id: 1,
+        patient_id: 11,
+        staff_id: 7,
+        start_time: inHours(48),
+        end_time: inHours(49),
+        status: 'pending',
+        expires_at: inHours(2),
+        ...offer
+    }]
+});
+
+test('a held slot clashes for staff and other patients', async () => {
+    const { server } = loadServer(seed());
+    const staffBooking = await server.findAppointmentConflicts({ startTime: inHours(48), endTime: inHours(49), therapistId: 7 });
+    assert.equal(staffBooking.length, 1);
+    assert.equal(staffBooking[0].status, 'Held');
+    assert.equal(staffBooking[0].waitlist_offer_id, 1);
+
+    const otherPatient = await server.findAppointmentConflicts({ startTime: inHours(48.5), endTime: inHours(49.5), therapistId: 7, patientId: 12 });
+    assert.equal(otherPatient.length, 1);
+});
+
+test('a held slot is free for the patient it was offered to', async () => {
+    const { server } = loadServer(seed());
+    const clashes = await server.findAppointmentConflicts({ startTime: inHours(48), endTime: inHours(49), therapistId: 7, patientId: 11 });
+    assert.deepEqual(clashes, []);
+});
+
+test('expired, closed or other therapists\' offers hold nothing', async () => {
+    for (const offer of [{ expires_at: inHours(-1) }, { status: 'declined' }, { staff_id: 8 }]) {
+        const { server } = loadServer(seed(offer));
+        const clashes = await server.findAppointmentConflicts({ startTime: inHours(48), endTime: inHours(49), therapistId: 7, patientId: 12 });
+        assert.deepEqual(clashes, [], JSON.stringify(offer));
+    }
+});
+
+test('free-slot search hides a held slot from everyone but the offered patient', async () => {
+    const start = new Date(Date.now() + 48 * HOUR);
+    start.setUTCMinutes(0, 0, 0);
+    const date = start.toISOString().slice(0, 10);
+    const hour = String(start.getUTCHours()).padStart(2, '0');
+    const tables = seed({ start_time: start.toISOString(), end_time: new Date(start.getTime() + HOUR).toISOString() });
+    // Works exactly that one hour on that weekday, so it is the only candidate slot.
+    tables.staff_working_hours.push({ staff_id: 7, weekday: start.getUTCDay(), start_time: `${hour}:00`, end_time: `${hour}:59` });
+    const search = { therapists: [{ id: 7, full_name: 'Dara' }], fromDate: date, toDate: date, duration: 30, step: 30, timezone: 'UTC' };
+
+    const { server } = loadServer(tables);
+    assert.deepEqual(await server.findFreeSlots(search), []);
+    assert.deepEqual(await server.findFreeSlots({ ...search, patientId: 12 }), []);
+    const forOfferedPatient = await server.findFreeSlots({ ...search, patientId: 11 });
+    assert.equal(forOfferedPatient.length, 1);
+    assert.equal(forOfferedPatient[0].start, start.toISOString());
+});